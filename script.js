@@ -9,657 +9,6872 @@ let moodEntries = [];
 let currentFilter = 'All';
 let currentSort = 'newest';
 let currentView = 'week';
+let calendarCursor = new Date();
+let selectedDay = null;
+let trendRange = '30';
+let trendRollingWindows = { 7: true, 30: false };
 let selectedTags = [];
+let editingEntryId = null;
+let lastGeneratedId = 0;
+let settings = {};
+let moodScaleDraft = null;
+let pendingMoodScale = null;
+let swRegistration = null;
+let encryptionKey = null;
+let autoLockTimer = null;
+let profiles = [];
+let activeProfileId = 'default';
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+const MAX_TAG_SUGGESTIONS = 8;
+const DEFAULT_TAG_SUGGESTIONS = ['work', 'family', 'health', 'social', 'exercise'];
 const STORAGE_KEY = 'moodTrackerData';
 const THEME_KEY = 'moodTrackerTheme';
+const SETTINGS_KEY = 'moodTrackerSettings';
+const PROFILES_KEY = 'moodTrackerProfiles';
+const DEFAULT_PROFILE_ID = 'default';
 
-// ===== UTILITY FUNCTIONS =====
+// Ordered best to worst; a mood's score is its rank from the bottom (worst = 1)
+const DEFAULT_MOOD_SCALE = [
+    { name: 'Amazing', emoji: '🥳', color: '#10b981' },
+    { name: 'Good', emoji: '😊', color: '#3b82f6' },
+    { name: 'Neutral', emoji: '😐', color: '#f59e0b' },
+    { name: 'Stressed', emoji: '😟', color: '#ef4444' },
+    { name: 'Terrible', emoji: '😩', color: '#991b1b' }
+];
+const DEFAULT_SETTINGS = {
+    moodScale: DEFAULT_MOOD_SCALE,
+    reminders: {
+        enabled: false,
+        times: ['21:00'],
+        onlyIfNotLogged: true,
+        quietDays: []
+    },
+    encryption: {
+        enabled: false,
+        salt: null,
+        verifier: null,
+        autoLockMinutes: 5
+    },
+    trash: {
+        retentionDays: 30
+    },
+    sync: {
+        enabled: false,
+        endpoint: '',
+        token: ''
+    },
+    streaks: {
+        graceHour: 0,
+        skipDays: []
+    },
+    goals: [],
+    metrics: [
+        { id: 'sleep', label: 'Sleep (hours)', icon: '😴', type: 'number', min: 0, max: 24, step: 0.5, enabled: true },
+        { id: 'energy', label: 'Energy', icon: '⚡', type: 'scale', enabled: true },
+        { id: 'anxiety', label: 'Anxiety', icon: '😰', type: 'scale', enabled: true },
+        { id: 'caffeine', label: 'Caffeine', icon: '☕', type: 'boolean', enabled: true },
+        { id: 'exercise', label: 'Exercise', icon: '🏃', type: 'boolean', enabled: true }
+    ],
+    prompts: {
+        enabled: true,
+        custom: []
+    }
+};
+
+// ===== STORAGE LAYER =====
+const DB_NAME = 'moodTrackerDB';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const META_STORE = 'meta';
+
+let baseStorage = null;
+let storage = null;
+let persistedEntries = new Map();
+// What saveData has handed to storage, confirmed or not
+let queuedEntries = new Map();
+let saveQueue = Promise.resolve();
 
 /**
- * Loads data from localStorage
+ * IndexedDB schema migrations, keyed by the version they upgrade to.
+ * Each step receives the database and the upgrade transaction.
  */
-function loadData() {
-    try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (stored) {
-            moodEntries = JSON.parse(stored);
-            moodEntries = moodEntries.map(entry => ({
-                ...entry,
-                timestamp: new Date(entry.timestamp),
-                tags: entry.tags || []
-            }));
-        }
-    } catch (error) {
-        console.error("Error loading data:", error);
-        showModal("Load Error", "Could not load saved data. Starting fresh.");
+const DB_MIGRATIONS = {
+    1: (db) => {
+        const entries = db.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+        entries.createIndex('timestamp', 'timestamp');
+        entries.createIndex('mood', 'mood');
+        entries.createIndex('tag', 'tags', { multiEntry: true });
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
     }
-}
+};
 
 /**
- * Saves data to localStorage
+ * Wraps an IDBRequest in a promise
  */
-function saveData() {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(moodEntries));
-    } catch (error) {
-        console.error("Error saving data:", error);
-        showModal("Storage Error", "Could not save data.");
-    }
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
 /**
- * Shows modal dialog
+ * Resolves when a transaction has committed
  */
-function showModal(title, message) {
-    const modal = document.getElementById('app-modal');
-    const modalTitle = document.getElementById('modal-title');
-    const modalMessage = document.getElementById('modal-message');
-    
-    if (modal && modalTitle && modalMessage) {
-        modalTitle.textContent = title;
-        modalMessage.textContent = message;
-        modal.classList.remove('hidden-modal');
-    }
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
 }
 
 /**
- * Closes modal
+ * Opens a database, running any pending migrations
  */
-function closeModal() {
-    const modal = document.getElementById('app-modal');
-    if (modal) {
-        modal.classList.add('hidden-modal');
-    }
+function openMoodDatabase(name, migrations = DB_MIGRATIONS, targetVersion = DB_VERSION) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, targetVersion);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion + 1; version <= targetVersion; version++) {
+                if (migrations[version]) {
+                    migrations[version](db, request.transaction);
+                }
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
 }
 
 /**
- * Shows toast notification
+ * Creates the IndexedDB storage backend
  */
-function showToast(message) {
-    const toast = document.createElement('div');
-    toast.className = 'success-toast';
-    toast.textContent = message;
-    document.body.appendChild(toast);
-    
-    setTimeout(() => {
-        toast.style.animation = 'fadeIn 0.3s ease-out reverse';
-        setTimeout(() => toast.remove(), 300);
-    }, 3000);
+async function createIndexedDBStorage(dbName) {
+    const db = await openMoodDatabase(dbName);
+
+    return {
+        type: 'indexeddb',
+
+        async loadEntries() {
+            const tx = db.transaction(ENTRY_STORE, 'readonly');
+            return idbRequest(tx.objectStore(ENTRY_STORE).getAll());
+        },
+
+        async writeChanges(changed, removedIds) {
+            const tx = db.transaction(ENTRY_STORE, 'readwrite');
+            const store = tx.objectStore(ENTRY_STORE);
+            changed.forEach(entry => store.put(entry));
+            removedIds.forEach(id => store.delete(id));
+            await idbTransactionDone(tx);
+        },
+
+        /**
+         * Reads records one by one so a single unreadable record doesn't hide the rest
+         */
+        async readRaw() {
+            const keys = await idbRequest(db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).getAllKeys());
+            const records = [];
+            for (const key of keys) {
+                try {
+                    records.push(await idbRequest(db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).get(key)));
+                } catch (error) {
+                    records.push({ id: key, unreadable: error ? error.message : 'unknown error' });
+                }
+            }
+            return records.length > 0 ? records : null;
+        },
+
+        async clear() {
+            const tx = db.transaction(ENTRY_STORE, 'readwrite');
+            tx.objectStore(ENTRY_STORE).clear();
+            await idbTransactionDone(tx);
+        },
+
+        async getMeta(key) {
+            const tx = db.transaction(META_STORE, 'readonly');
+            const record = await idbRequest(tx.objectStore(META_STORE).get(key));
+            return record ? record.value : undefined;
+        },
+
+        async setMeta(key, value) {
+            const tx = db.transaction(META_STORE, 'readwrite');
+            tx.objectStore(META_STORE).put({ key, value });
+            await idbTransactionDone(tx);
+        },
+
+        close() {
+            db.close();
+        }
+    };
 }
 
 /**
- * Returns CSS class for mood
+ * Creates the localStorage fallback backend (whole array under one key)
  */
-function getMoodColorClass(mood) {
-    const moodMap = {
-        'Amazing': 'mood-amazing',
-        'Good': 'mood-good',
-        'Neutral': 'mood-neutral',
-        'Stressed': 'mood-stressed',
-        'Terrible': 'mood-terrible'
+function createLocalStorageStorage(dataKey) {
+    const metaKey = `${dataKey}.meta`;
+    const readMeta = () => JSON.parse(localStorage.getItem(metaKey) || '{}');
+
+    return {
+        type: 'localstorage',
+
+        async loadEntries() {
+            const stored = localStorage.getItem(dataKey);
+            return stored ? JSON.parse(stored) : [];
+        },
+
+        async writeChanges(changed, removedIds) {
+            const records = new Map((await this.loadEntries()).map(record => [record.id, record]));
+            changed.forEach(record => records.set(record.id, record));
+            removedIds.forEach(id => records.delete(id));
+            localStorage.setItem(dataKey, JSON.stringify([...records.values()]));
+        },
+
+        readRaw() {
+            return localStorage.getItem(dataKey);
+        },
+
+        async clear() {
+            localStorage.removeItem(dataKey);
+        },
+
+        async getMeta(key) {
+            return readMeta()[key];
+        },
+
+        async setMeta(key, value) {
+            const meta = readMeta();
+            meta[key] = value;
+            localStorage.setItem(metaKey, JSON.stringify(meta));
+        },
+
+        close() {}
     };
-    return moodMap[mood] || 'mood-neutral';
 }
 
 /**
- * Formats timestamp
+ * Copies entries from the legacy localStorage blob into IndexedDB once
  */
-function formatTimestamp(timestamp) {
-    if (timestamp instanceof Date) {
-        return timestamp.toLocaleString('en-US', { 
-            month: 'short', 
-            day: 'numeric', 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        });
+async function migrateLegacyStorage(backend, dataKey) {
+    if (backend.type !== 'indexeddb') return;
+    if (await backend.getMeta('legacyMigrated')) return;
+
+    const legacy = localStorage.getItem(dataKey);
+    if (legacy) {
+        const entries = JSON.parse(legacy).map(hydrateEntry);
+        await backend.writeChanges(entries, []);
+        localStorage.removeItem(dataKey);
     }
-    return 'Date unknown';
+    await backend.setMeta('legacyMigrated', true);
 }
 
 /**
- * Escapes HTML to prevent XSS
+ * Picks IndexedDB when available, otherwise falls back to localStorage.
+ * Each profile gets its own database and localStorage key.
  */
-function escapeHtml(str) {
-    if (typeof str !== 'string') return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+async function initStorage(profileId = activeProfileId) {
+    const dataKey = profileKey(STORAGE_KEY, profileId);
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            const backend = await createIndexedDBStorage(profileKey(DB_NAME, profileId));
+            await migrateLegacyStorage(backend, dataKey);
+            return backend;
+        } catch (error) {
+            console.warn("IndexedDB unavailable, falling back to localStorage:", error);
+        }
+    }
+    return createLocalStorageStorage(dataKey);
 }
 
 /**
- * Gets mood emoji
+ * Converts a stored record into an in-memory entry
  */
-function getMoodEmoji(mood) {
-    const emojiMap = {
-        'Amazing': '🥳',
-        'Good': '😊',
-        'Neutral': '😐',
-        'Stressed': '😟',
-        'Terrible': '😩'
+function hydrateEntry(entry) {
+    return {
+        ...entry,
+        timestamp: new Date(entry.timestamp),
+        tags: entry.tags || [],
+        revisions: (entry.revisions || []).map(rev => ({
+            ...rev,
+            timestamp: new Date(rev.timestamp),
+            editedAt: new Date(rev.editedAt)
+        }))
     };
-    return emojiMap[mood] || '😐';
 }
 
-// ===== THEME MANAGEMENT =====
+/**
+ * Remembers what is currently persisted so saveData only writes changes
+ */
+function markPersisted(entries) {
+    persistedEntries = new Map(entries.map(entry => [entry.id, JSON.stringify(entry)]));
+    queuedEntries = new Map(persistedEntries);
+}
+
+// ===== ENCRYPTION =====
+const PBKDF2_ITERATIONS = 310000;
+const ENCRYPTED_EXPORT_FORMAT = 'mood-tracker-encrypted';
+const VERIFIER_TEXT = 'mood-tracker-passphrase-check';
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
 
 /**
- * Toggles between light and dark theme
+ * Derives an AES-GCM key from a passphrase with PBKDF2
  */
-function toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme');
-    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-    
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem(THEME_KEY, newTheme);
-    
-    const themeBtn = document.getElementById('toggle-theme-btn');
-    if (themeBtn) {
-        themeBtn.textContent = newTheme === 'light' ? '☀️' : '🌙';
-    }
-    
-    showToast(`Switched to ${newTheme} theme`);
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
 }
 
 /**
- * Loads saved theme
+ * Encrypts a JSON-serializable value; returns base64 iv and data
  */
-function loadTheme() {
-    const savedTheme = localStorage.getItem(THEME_KEY) || 'dark';
-    document.documentElement.setAttribute('data-theme', savedTheme);
-    
-    const themeBtn = document.getElementById('toggle-theme-btn');
-    if (themeBtn) {
-        themeBtn.textContent = savedTheme === 'light' ? '☀️' : '🌙';
-    }
+async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
 }
 
-// ===== TAGS MANAGEMENT =====
+/**
+ * Decrypts a value produced by encryptJson; throws on a wrong key
+ */
+async function decryptJson(key, { iv, data }) {
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+function isEncryptedRecord(record) {
+    return record && typeof record.data === 'string' && typeof record.iv === 'string' && record.mood === undefined;
+}
 
 /**
- * Adds a tag to current selection
+ * Decrypts a stored record if needed; plaintext records pass through
  */
-function addTag(tagName) {
-    const trimmedTag = tagName.trim().toLowerCase();
-    if (trimmedTag && !selectedTags.includes(trimmedTag) && selectedTags.length < 5) {
-        selectedTags.push(trimmedTag);
-        renderSelectedTags();
-    }
+function decodeRecord(record, key) {
+    return isEncryptedRecord(record) ? decryptJson(key, record) : record;
 }
 
 /**
- * Removes tag from selection
+ * Wraps a storage backend so entries are stored as { id, iv, data } records
  */
-function removeTag(tagName) {
-    selectedTags = selectedTags.filter(tag => tag !== tagName);
-    renderSelectedTags();
+function createEncryptedStorage(backend, key) {
+    return {
+        ...backend,
+        encrypted: true,
+
+        async loadEntries() {
+            const records = await backend.loadEntries();
+            return Promise.all(records.map(record => decodeRecord(record, key)));
+        },
+
+        async writeChanges(changed, removedIds) {
+            const records = await Promise.all(changed.map(async entry => ({
+                id: entry.id,
+                ...(await encryptJson(key, entry))
+            })));
+            await backend.writeChanges(records, removedIds);
+        }
+    };
 }
 
 /**
- * Renders selected tags
+ * Derives the key for a passphrase and checks it against the stored verifier
  */
-function renderSelectedTags() {
-    const container = document.getElementById('selected-tags');
-    if (!container) return;
-    
-    container.innerHTML = '';
-    selectedTags.forEach(tag => {
-        const chip = document.createElement('span');
-        chip.className = 'tag-chip';
-        chip.innerHTML = `
-            ${escapeHtml(tag)}
-            <span class="tag-remove" onclick="removeTag('${escapeHtml(tag)}')">×</span>
-        `;
-        container.appendChild(chip);
-    });
+async function unlockKey(passphrase, encryption = settings.encryption) {
+    const { salt, verifier } = encryption;
+    const key = await deriveKey(passphrase, base64ToBytes(salt));
+    try {
+        if (await decryptJson(key, verifier) === VERIFIER_TEXT) return key;
+    } catch (error) {
+        // AES-GCM authentication fails for a wrong passphrase
+    }
+    return null;
 }
 
-// ===== CORE BUSINESS LOGIC =====
+/**
+ * Creates a new salt, verifier and key for a passphrase
+ */
+async function createEncryptionSecrets(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+    return { key, salt: bytesToBase64(salt), verifier: await encryptJson(key, VERIFIER_TEXT) };
+}
 
 /**
- * Logs a new mood entry
+ * Rewrites every stored entry and backup snapshot with the current key (re-encryption)
  */
-function logMood(e) {
-    e.preventDefault();
+async function rewriteAllEntries(previousKey = null) {
+    await saveQueue;
+    storage = encryptionKey ? createEncryptedStorage(baseStorage, encryptionKey) : baseStorage;
+    markPersisted([]);
+    await saveData({ track: false });
+    await saveTrash();
+    await saveSyncSkipped();
+    await reencryptSnapshots(previousKey, encryptionKey);
+}
 
-    const moodElement = document.querySelector('input[name="mood"]:checked');
-    const noteElement = document.getElementById('note');
+// ===== PRIVACY MODE =====
 
-    if (!moodElement) {
-        showModal("Error", "Please select a mood.");
-        return;
+/**
+ * Shows the lock screen and hides journal data
+ */
+function showLockScreen() {
+    const lockScreen = document.getElementById('lock-screen');
+    const input = document.getElementById('lock-passphrase');
+    const error = document.getElementById('lock-error');
+    if (!lockScreen) return;
+    lockScreen.classList.remove('hidden');
+    if (error) error.textContent = '';
+    if (input) {
+        input.value = '';
+        input.focus();
     }
+}
 
-    if (!noteElement) {
-        showModal("Error", "Note field not found.");
+/**
+ * Unlocks the journal with the passphrase typed on the lock screen
+ */
+async function submitLockScreen(e) {
+    e.preventDefault();
+    const input = document.getElementById('lock-passphrase');
+    const error = document.getElementById('lock-error');
+    if (!input || !input.value) return;
+
+    const key = await unlockKey(input.value);
+    if (!key) {
+        if (error) error.textContent = 'Wrong passphrase. Please try again.';
+        input.select();
         return;
     }
 
-    const newEntry = {
-        id: Date.now(),
-        mood: moodElement.value,
-        note: noteElement.value.trim().substring(0, 500), 
-        tags: selectedTags.slice(),
-        timestamp: new Date(),
-    };
+    encryptionKey = key;
+    input.value = '';
+    document.getElementById('lock-screen').classList.add('hidden');
+    await loadData();
+    renderAll();
+    resetAutoLockTimer();
+}
 
-    moodEntries.unshift(newEntry);
-    saveData();
-    
-    showToast(`✨ Your ${newEntry.mood} mood has been logged!`);
-    document.getElementById('mood-form').reset();
-    selectedTags = [];
-    renderSelectedTags();
-    updateCharCount();
-    
+/**
+ * Forgets the key and clears decrypted entries from memory
+ */
+async function lockApp() {
+    if (!settings.encryption.enabled || !encryptionKey) return;
+    await saveQueue;
+    clearTimeout(autoLockTimer);
+    encryptionKey = null;
+    storage = null;
+    moodEntries = [];
+    trash = [];
+    markPersisted([]);
+    clearUndoHistory();
+    resetSyncState();
+    editingEntryId = null;
+    closeModal();
     renderAll();
+    showLockScreen();
 }
 
 /**
- * Deletes entry by ID
+ * Restarts the inactivity countdown
  */
-function deleteEntry(id) {
-    if (confirm('Are you sure you want to delete this entry?')) {
-        moodEntries = moodEntries.filter(entry => entry.id !== id);
-        saveData();
-        renderAll();
-        showToast('Entry deleted successfully');
-    }
+function resetAutoLockTimer() {
+    clearTimeout(autoLockTimer);
+    const minutes = settings.encryption.autoLockMinutes;
+    if (!settings.encryption.enabled || !encryptionKey || !minutes) return;
+    autoLockTimer = setTimeout(lockApp, minutes * 60 * 1000);
 }
 
 /**
- * Clears all data
+ * Opens the privacy settings dialog
  */
-function clearAllData() {
-    if (confirm('Are you sure you want to delete ALL entries? This cannot be undone!')) {
-        moodEntries = [];
-        saveData();
-        renderAll();
-        showToast('All data cleared');
+function openPrivacySettings() {
+    const { enabled, autoLockMinutes } = settings.encryption;
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        showModal('Privacy Mode', 'Encryption needs a secure (https) page in a modern browser.');
+        return;
     }
+
+    const body = enabled
+        ? `
+            <p class="modal-message">Your entries are encrypted. Without the passphrase they cannot be recovered.</p>
+            <label class="csv-map-row">
+                <span>Auto-lock after</span>
+                <select id="privacy-autolock" class="sort-select">
+                    ${[0, 1, 5, 15, 30, 60].map(m => `<option value="${m}" ${m === autoLockMinutes ? 'selected' : ''}>${m === 0 ? 'Never' : `${m} min`}</option>`).join('')}
+                </select>
+            </label>
+            <input type="password" id="privacy-current" class="search-input privacy-input" placeholder="Current passphrase" autocomplete="current-password">
+            <input type="password" id="privacy-new" class="search-input privacy-input" placeholder="New passphrase (to change it)" autocomplete="new-password">
+            <input type="password" id="privacy-confirm" class="search-input privacy-input" placeholder="Repeat new passphrase" autocomplete="new-password">
+            <div class="entry-actions scale-actions">
+                <button class="submit-button" onclick="savePrivacySettings()">Save</button>
+                <button class="secondary-button" onclick="lockApp()">Lock now</button>
+                <button class="delete-button" onclick="disableEncryption()">Turn off encryption</button>
+            </div>
+        `
+        : `
+            <p class="modal-message">Encrypt your journal with a passphrase. You will need it every time you open the app.
+                There is no way to recover a forgotten passphrase.</p>
+            <input type="password" id="privacy-new" class="search-input privacy-input" placeholder="Passphrase" autocomplete="new-password">
+            <input type="password" id="privacy-confirm" class="search-input privacy-input" placeholder="Repeat passphrase" autocomplete="new-password">
+            <div class="entry-actions scale-actions">
+                <button class="submit-button" onclick="enableEncryption()">Encrypt my journal</button>
+            </div>
+        `;
+    showDialog('🔒 Privacy Mode', body);
 }
 
 /**
- * Filters moods
+ * Reads and checks the new passphrase fields of the privacy dialog
  */
-function filterMoods(mood) {
-    currentFilter = mood;
-    
-    const filterButtons = document.querySelectorAll('.filter-btn');
-    filterButtons.forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.mood === mood) {
-            btn.classList.add('active');
-        }
-    });
-    
-    renderHistory();
+function readNewPassphrase() {
+    const newEl = document.getElementById('privacy-new');
+    const confirmEl = document.getElementById('privacy-confirm');
+    const passphrase = newEl ? newEl.value : '';
+    if (passphrase.length < 8) {
+        showDialogError('Please use a passphrase of at least 8 characters.');
+        return null;
+    }
+    if (!confirmEl || confirmEl.value !== passphrase) {
+        showDialogError('The passphrases do not match.');
+        return null;
+    }
+    return passphrase;
 }
 
 /**
- * Sorts entries
+ * Turns on privacy mode with the new passphrase and rewrites stored data encrypted
  */
-function sortEntries(entries) {
-    const moodRank = {
-        'Amazing': 5,
-        'Good': 4,
-        'Neutral': 3,
-        'Stressed': 2,
-        'Terrible': 1
-    };
+async function enableEncryption() {
+    const passphrase = readNewPassphrase();
+    if (!passphrase) return;
 
-    const sorted = entries.slice();
-    
-    switch (currentSort) {
-        case 'newest':
-            return sorted.sort((a, b) => b.timestamp - a.timestamp);
-        case 'oldest':
-            return sorted.sort((a, b) => a.timestamp - b.timestamp);
-        case 'mood-best':
-            return sorted.sort((a, b) => moodRank[b.mood] - moodRank[a.mood]);
-        case 'mood-worst':
-            return sorted.sort((a, b) => moodRank[a.mood] - moodRank[b.mood]);
-        default:
-            return sorted;
-    }
+    const { key, salt, verifier } = await createEncryptionSecrets(passphrase);
+    encryptionKey = key;
+    settings.encryption = { ...settings.encryption, enabled: true, salt, verifier };
+    saveSettings();
+    await rewriteAllEntries();
+    closeModal();
+    resetAutoLockTimer();
+    showToast('🔒 Journal encrypted');
 }
 
-// ===== STATISTICS & ANALYTICS =====
-
 /**
- * Updates statistics dashboard
+ * Saves auto-lock time and, if filled in, changes the passphrase
  */
-function updateStats() {
-    const totalEl = document.getElementById('total-entries');
-    const streakEl = document.getElementById('current-streak');
-    const moodEl = document.getElementById('most-common-mood');
-    const weekEl = document.getElementById('this-week-entries');
-
-    if (totalEl) totalEl.textContent = moodEntries.length;
+async function savePrivacySettings() {
+    const autoLockEl = document.getElementById('privacy-autolock');
+    const newEl = document.getElementById('privacy-new');
+    if (autoLockEl) settings.encryption.autoLockMinutes = Number(autoLockEl.value);
 
-    // Calculate streak
-    let streak = 0;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const sortedEntries = moodEntries.slice().sort((a, b) => b.timestamp - a.timestamp);
-    let checkDate = new Date(today);
-    
-    for (const entry of sortedEntries) {
-        const entryDate = new Date(entry.timestamp);
-        entryDate.setHours(0, 0, 0, 0);
-        
-        if (entryDate.getTime() === checkDate.getTime()) {
-            streak++;
-            checkDate.setDate(checkDate.getDate() - 1);
-        } else if (entryDate.getTime() < checkDate.getTime()) {
-            break;
+    if (newEl && newEl.value) {
+        const currentEl = document.getElementById('privacy-current');
+        if (!currentEl || !await unlockKey(currentEl.value)) {
+            showDialogError('The current passphrase is wrong.');
+            return;
         }
+        const passphrase = readNewPassphrase();
+        if (!passphrase) return;
+
+        const { key, salt, verifier } = await createEncryptionSecrets(passphrase);
+        const previousKey = encryptionKey;
+        encryptionKey = key;
+        settings.encryption = { ...settings.encryption, salt, verifier };
+        saveSettings();
+        await rewriteAllEntries(previousKey);
+        showToast('Passphrase changed and entries re-encrypted');
+    } else {
+        saveSettings();
+        showToast('Privacy settings saved');
     }
-    
-    if (streakEl) streakEl.textContent = streak;
+    closeModal();
+    resetAutoLockTimer();
+}
 
-    // Most common mood
-    if (moodEntries.length === 0) {
-        if (moodEl) moodEl.textContent = '-';
-        if (weekEl) weekEl.textContent = '0';
+/**
+ * Turns off privacy mode after checking the current passphrase and stores data in plain form again
+ */
+async function disableEncryption() {
+    const currentEl = document.getElementById('privacy-current');
+    if (!currentEl || !await unlockKey(currentEl.value)) {
+        showDialogError('Enter your current passphrase to turn off encryption.');
         return;
     }
 
-    const moodCounts = {};
-    moodEntries.forEach(entry => {
-        moodCounts[entry.mood] = (moodCounts[entry.mood] || 0) + 1;
+    const previousKey = encryptionKey;
+    encryptionKey = null;
+    settings.encryption = { ...DEFAULT_SETTINGS.encryption, autoLockMinutes: settings.encryption.autoLockMinutes };
+    saveSettings();
+    await rewriteAllEntries(previousKey);
+    clearTimeout(autoLockTimer);
+    closeModal();
+    showToast('Encryption turned off');
+}
+
+// ===== PROFILES =====
+
+/**
+ * Namespaces a storage key by profile; the default profile keeps the original keys
+ */
+function profileKey(base, profileId = activeProfileId) {
+    return profileId === DEFAULT_PROFILE_ID ? base : `${base}:${profileId}`;
+}
+
+/**
+ * Loads the profile list and the active profile
+ */
+function loadProfiles() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}');
+    } catch (error) {
+        console.error("Error loading profiles:", error);
+    }
+    profiles = Array.isArray(stored.profiles) && stored.profiles.length > 0
+        ? stored.profiles
+        : [{ id: DEFAULT_PROFILE_ID, name: 'Me' }];
+    activeProfileId = profiles.some(p => p.id === stored.activeId) ? stored.activeId : profiles[0].id;
+}
+
+function saveProfiles() {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify({ profiles, activeId: activeProfileId }));
+}
+
+function getActiveProfile() {
+    return profiles.find(p => p.id === activeProfileId) || profiles[0];
+}
+
+/**
+ * File name prefix for exports of the active profile
+ */
+function exportFileBase() {
+    if (activeProfileId === DEFAULT_PROFILE_ID) return 'mood_entries';
+    const slug = getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return `mood_entries_${slug || activeProfileId}`;
+}
+
+/**
+ * Fills the header profile switcher
+ */
+function renderProfileSwitcher() {
+    const select = document.getElementById('profile-select');
+    if (!select) return;
+
+    select.innerHTML = profiles.map(p =>
+        `<option value="${escapeHtml(p.id)}" ${p.id === activeProfileId ? 'selected' : ''}>👤 ${escapeHtml(p.name)}</option>`
+    ).join('') + '<option value="__manage">⚙️ Manage profiles…</option>';
+}
+
+/**
+ * Loads the theme, settings and entries of another profile
+ */
+async function switchProfile(profileId) {
+    if (profileId === activeProfileId || !profiles.some(p => p.id === profileId)) return;
+
+    await saveQueue;
+    clearTimeout(autoLockTimer);
+    if (baseStorage) baseStorage.close();
+    baseStorage = null;
+    storage = null;
+    encryptionKey = null;
+    moodEntries = [];
+    trash = [];
+    markPersisted([]);
+    clearUndoHistory();
+    resetSyncState();
+    lastSnapshotDay = null;
+
+    activeProfileId = profileId;
+    saveProfiles();
+
+    currentFilter = 'All';
+    selectedDay = null;
+    selectedTags = [];
+    editingEntryId = null;
+    renderSelectedTags();
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = '';
+
+    loadTheme();
+    loadSettings();
+    renderMoodScaleControls();
+    renderMetricFields();
+    resetJournalPrompt();
+    renderProfileSwitcher();
+    document.getElementById('lock-screen').classList.add('hidden');
+
+    if (settings.encryption.enabled) {
+        renderAll();
+        showLockScreen();
+    } else {
+        await loadData();
+        renderAll();
+    }
+    showToast(`Switched to ${getActiveProfile().name}`);
+}
+
+/**
+ * Opens the dialog for adding, renaming and deleting profiles
+ */
+function openProfileManager() {
+    const rows = profiles.map(p => `
+        <div class="profile-row">
+            <input type="text" class="search-input profile-name-input" data-profile-id="${escapeHtml(p.id)}" value="${escapeHtml(p.name)}" maxlength="30">
+            ${p.id === activeProfileId
+                ? '<span class="profile-active">Active</span>'
+                : `<button class="edit-button" onclick="switchProfile('${p.id}'); closeModal();">Open</button>`}
+            <button class="delete-button" onclick="deleteProfile('${p.id}')" ${profiles.length === 1 ? 'disabled' : ''}>Delete</button>
+        </div>
+    `).join('');
+
+    showDialog('👤 Profiles', `
+        <p class="modal-message">Each profile keeps its own entries, theme and settings. Export and import apply to the active profile.</p>
+        <div class="profile-list">${rows}</div>
+        <div class="profile-row">
+            <input type="text" id="new-profile-name" class="search-input" placeholder="New profile name" maxlength="30">
+            <button class="edit-button" onclick="createProfile()">Add</button>
+        </div>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="saveProfileNames()">Save names</button>
+        </div>
+    `);
+}
+
+async function createProfile() {
+    const input = document.getElementById('new-profile-name');
+    const name = input ? input.value.trim() : '';
+    if (!name) {
+        showDialogError('Please enter a name for the new profile.');
+        return;
+    }
+    if (profiles.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+        showDialogError(`A profile named "${name}" already exists.`);
+        return;
+    }
+
+    const profile = { id: `p${generateId().toString(36)}`, name };
+    profiles.push(profile);
+    saveProfiles();
+    closeModal();
+    await switchProfile(profile.id);
+}
+
+function saveProfileNames() {
+    const inputs = document.querySelectorAll('.profile-name-input');
+    const names = new Map();
+    for (const input of inputs) {
+        const name = input.value.trim();
+        if (!name) {
+            showDialogError('Profile names cannot be empty.');
+            return;
+        }
+        names.set(input.dataset.profileId, name);
+    }
+
+    profiles = profiles.map(p => ({ ...p, name: names.get(p.id) || p.name }));
+    saveProfiles();
+    renderProfileSwitcher();
+    closeModal();
+    showToast('Profiles saved');
+}
+
+/**
+ * Asks before deleting a profile
+ */
+function deleteProfile(profileId) {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile || profiles.length === 1) return;
+
+    showDialog('Delete Profile', `
+        <p class="modal-message">Delete the profile "${escapeHtml(profile.name)}" and all of its entries? This cannot be undone.</p>
+        <div class="entry-actions scale-actions">
+            <button class="delete-button" onclick="confirmDeleteProfile('${profile.id}')">Delete profile</button>
+            <button class="secondary-button" onclick="openProfileManager()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Removes a profile together with its entries and settings
+ */
+async function confirmDeleteProfile(profileId) {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile || profiles.length === 1) return;
+
+    if (profileId === activeProfileId) {
+        await switchProfile(profiles.find(p => p.id !== profileId).id);
+    }
+
+    profiles = profiles.filter(p => p.id !== profileId);
+    saveProfiles();
+    [STORAGE_KEY, `${STORAGE_KEY}.meta`, SETTINGS_KEY, THEME_KEY].forEach(base => {
+        localStorage.removeItem(profileKey(base, profileId));
     });
+    localStorage.removeItem(profileKey(BACKUP_DB_NAME, profileId));
+    postToServiceWorker({ type: 'reminders-remove', profileId });
+    if (typeof indexedDB !== 'undefined') {
+        indexedDB.deleteDatabase(profileKey(DB_NAME, profileId));
+        indexedDB.deleteDatabase(profileKey(BACKUP_DB_NAME, profileId));
+    }
+
+    renderProfileSwitcher();
+    renderHistory();
+    closeModal();
+    showToast(`Deleted profile ${profile.name}`);
+}
+
+/**
+ * Reads another profile's settings without activating it
+ */
+function readProfileSettings(profileId) {
+    try {
+        return JSON.parse(localStorage.getItem(profileKey(SETTINGS_KEY, profileId)) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Asks where to move an entry (or all entries currently shown)
+ */
+function showMoveEntries(entryId) {
+    const targets = profiles.filter(p => p.id !== activeProfileId);
+    const visibleCount = getVisibleEntries().length;
+    const needsPassphrase = targets.some(p => (readProfileSettings(p.id).encryption || {}).enabled);
+
+    showDialog('Move Entries', `
+        <label class="csv-map-row">
+            <span>Move to</span>
+            <select id="move-target" class="sort-select">
+                ${targets.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('')}
+            </select>
+        </label>
+        <label class="csv-map-row">
+            <span>Entries</span>
+            <select id="move-scope" class="sort-select">
+                <option value="one">Only this entry</option>
+                <option value="visible">All ${visibleCount} entries shown in history</option>
+            </select>
+        </label>
+        ${needsPassphrase ? `
+            <input type="password" id="move-passphrase" class="search-input privacy-input" placeholder="Passphrase of the target profile (if encrypted)">
+        ` : ''}
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="confirmMoveEntries(${entryId})">Move</button>
+            <button class="secondary-button" onclick="closeModal()">Cancel</button>
+        </div>
+    `);
+}
+
+async function confirmMoveEntries(entryId) {
+    const targetId = document.getElementById('move-target').value;
+    const scope = document.getElementById('move-scope').value;
+    const passphraseEl = document.getElementById('move-passphrase');
+    const entries = scope === 'visible' ? getVisibleEntries() : [findEntry(entryId)].filter(Boolean);
+    if (entries.length === 0) return;
+
+    const encryption = readProfileSettings(targetId).encryption || {};
+    let key = null;
+    if (encryption.enabled) {
+        key = await unlockKey(passphraseEl ? passphraseEl.value : '', encryption);
+        if (!key) {
+            showDialogError('Wrong passphrase for the target profile.');
+            return;
+        }
+    }
+
+    try {
+        await moveEntriesToProfile(entries, targetId, key);
+    } catch (error) {
+        console.error("Error moving entries:", error);
+        showModal('Move Entries', 'Could not move the entries.');
+        return;
+    }
+
+    const target = profiles.find(p => p.id === targetId);
+    closeModal();
+    renderAll();
+    showToast(`Moved ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} to ${target.name}`);
+}
+
+/**
+ * Writes entries into another profile's storage and removes them here
+ */
+async function moveEntriesToProfile(entries, targetId, key) {
+    const targetScale = readProfileSettings(targetId).moodScale || DEFAULT_MOOD_SCALE;
+    const backend = await initStorage(targetId);
+    try {
+        const targetStorage = key ? createEncryptedStorage(backend, key) : backend;
+        const takenIds = new Set((await backend.loadEntries()).map(record => record.id));
+        const moved = entries.map(entry => {
+            const copy = hydrateEntry(entry);
+            if (takenIds.has(copy.id)) copy.id = generateId();
+            copy.mood = mapMoodToScale(copy.mood, targetScale);
+            copy.revisions.forEach(rev => { rev.mood = mapMoodToScale(rev.mood, targetScale); });
+            return copy;
+        });
+        await targetStorage.writeChanges(moved, []);
+        await queueSyncUpserts(backend, moved);
+    } finally {
+        backend.close();
+    }
+
+    const movedIds = new Set(entries.map(entry => entry.id));
+    moodEntries = moodEntries.filter(entry => !movedIds.has(entry.id));
+    await saveData();
+}
+
+/**
+ * Carries a mood over to another scale: the same name if it exists there, otherwise the nearest score
+ */
+function mapMoodToScale(mood, targetScale, sourceScale = getMoodScale()) {
+    const match = findMood(mood, targetScale);
+    if (match) return match.name;
+
+    const sourceMax = getMaxMoodScore(sourceScale);
+    const targetMax = getMaxMoodScore(targetScale);
+    const scaledScore = 1 + (getMoodScore(mood, sourceScale) - 1) * (targetMax - 1) / Math.max(1, sourceMax - 1);
+    return getMoodForScore(scaledScore, targetScale);
+}
+
+// ===== SETTINGS =====
+
+/**
+ * Loads settings from localStorage, filling in defaults
+ */
+function loadSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(profileKey(SETTINGS_KEY)) || '{}');
+    } catch (error) {
+        console.error("Error loading settings:", error);
+    }
+    settings = { ...JSON.parse(JSON.stringify(DEFAULT_SETTINGS)), ...stored };
+}
+
+/**
+ * Saves settings to localStorage
+ */
+function saveSettings() {
+    try {
+        localStorage.setItem(profileKey(SETTINGS_KEY), JSON.stringify(settings));
+    } catch (error) {
+        console.error("Error saving settings:", error);
+        showModal("Storage Error", "Could not save settings.");
+    }
+}
+
+// ===== MOOD SCALE =====
+
+/**
+ * Returns the configured moods, best first
+ */
+function getMoodScale() {
+    return settings.moodScale || DEFAULT_MOOD_SCALE;
+}
+
+/**
+ * Returns the configured mood names, best first
+ */
+function getMoodNames() {
+    return getMoodScale().map(mood => mood.name);
+}
+
+/**
+ * Finds a configured mood by name, ignoring case
+ */
+function findMood(name, scale = getMoodScale()) {
+    if (typeof name !== 'string') return null;
+    const lower = name.trim().toLowerCase();
+    return scale.find(mood => mood.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Highest score on the current scale (the worst mood scores 1)
+ */
+function getMaxMoodScore(scale = getMoodScale()) {
+    return scale.length;
+}
+
+/**
+ * Numeric score of a mood; unknown moods sit in the middle of the scale
+ */
+function getMoodScore(mood, scale = getMoodScale()) {
+    const index = scale.findIndex(m => m.name === mood);
+    return index === -1 ? (scale.length + 1) / 2 : scale.length - index;
+}
+
+/**
+ * Returns the mood whose score is nearest to a (fractional) score
+ */
+function getMoodForScore(score, scale = getMoodScale()) {
+    const index = Math.min(scale.length - 1, Math.max(0, scale.length - Math.round(score)));
+    return scale[index].name;
+}
+
+/**
+ * Returns the display color of a mood
+ */
+function getMoodColor(mood) {
+    const found = findMood(mood);
+    return found ? found.color : '#94a3b8';
+}
+
+// ===== UTILITY FUNCTIONS =====
+
+/**
+ * Generates a unique entry ID
+ */
+function generateId() {
+    lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+    return lastGeneratedId;
+}
+
+/**
+ * Loads data from storage
+ */
+async function loadData() {
+    try {
+        if (!baseStorage) {
+            baseStorage = await initStorage();
+        }
+        storage = encryptionKey ? createEncryptedStorage(baseStorage, encryptionKey) : baseStorage;
+
+        let records;
+        try {
+            records = await baseStorage.loadEntries();
+        } catch (error) {
+            // Unreadable: keep a copy aside first, and only then clear so the next save can't fail again
+            const quarantined = await quarantineData(await baseStorage.readRaw(), error);
+            if (!quarantined) throw error;
+            await baseStorage.clear();
+            records = [];
+        }
+
+        const { entries, bad } = await decodeRecords(records, encryptionKey);
+        if (bad.length > 0) {
+            await quarantineData(bad, new Error(`${bad.length} unreadable entries`));
+            await baseStorage.writeChanges([], bad.map(record => record && record.id).filter(id => id !== undefined && id !== null));
+        }
+
+        moodEntries = entries;
+        markPersisted(moodEntries);
+        await loadTrash();
+        await loadSyncState();
+        maybeTakeSnapshot();
+        syncNow();
+    } catch (error) {
+        console.error("Error loading data:", error);
+        showModal("Load Error", "Could not load saved data. Nothing was deleted — try reloading the page.");
+    }
+}
+
+/**
+ * Saves changed entries to storage. Pass { track: false } for writes that
+ * aren't user edits (re-encryption, applying synced changes).
+ */
+function saveData(options = {}) {
+    const { track = true } = options;
+    const current = new Map(moodEntries.map(entry => [entry.id, JSON.stringify(entry)]));
+    const changed = moodEntries.filter(entry => queuedEntries.get(entry.id) !== current.get(entry.id));
+    const removedIds = [...queuedEntries.keys()].filter(id => !current.has(id));
+
+    if (track) {
+        const now = Date.now();
+        changed.forEach(entry => {
+            // Always newer than the version it replaces, even with a skewed clock
+            entry.updatedAt = Math.max(now, (entry.updatedAt || 0) + 1);
+            current.set(entry.id, JSON.stringify(entry));
+        });
+    }
+    queuedEntries = current;
+
+    if (!storage || (changed.length === 0 && removedIds.length === 0)) {
+        return saveQueue;
+    }
+    if (track) recordSyncChanges(changed, removedIds);
+
+    const snapshot = changed.map(entry => hydrateEntry(entry));
+    saveQueue = saveQueue
+        .then(() => storage.writeChanges(snapshot, removedIds))
+        .then(() => {
+            snapshot.forEach(entry => persistedEntries.set(entry.id, current.get(entry.id)));
+            removedIds.forEach(id => persistedEntries.delete(id));
+            return maybeTakeSnapshot();
+        })
+        .catch(error => {
+            // The next save retries everything that was not confirmed
+            queuedEntries = new Map(persistedEntries);
+            console.error("Error saving data:", error);
+            showModal("Storage Error", "Could not save data.");
+        });
+    return saveQueue;
+}
+
+/**
+ * Shows modal dialog
+ */
+function showModal(title, message) {
+    const modal = document.getElementById('app-modal');
+    const modalTitle = document.getElementById('modal-title');
+    const modalMessage = document.getElementById('modal-message');
     
-    const mostCommon = Object.keys(moodCounts).reduce((a, b) => 
-        moodCounts[a] > moodCounts[b] ? a : b, '-');
-    
-    if (moodEl) {
-        moodEl.textContent = getMoodEmoji(mostCommon);
+    if (modal && modalTitle && modalMessage) {
+        modalTitle.textContent = title;
+        modalMessage.textContent = message;
+        modalMessage.classList.remove('modal-error');
+        setModalBody('');
+        modal.classList.remove('hidden-modal');
+    }
+}
+
+/**
+ * Shows modal dialog with custom HTML content below the title
+ */
+function showDialog(title, bodyHTML) {
+    const modal = document.getElementById('app-modal');
+    const modalTitle = document.getElementById('modal-title');
+    const modalMessage = document.getElementById('modal-message');
+
+    if (modal && modalTitle && modalMessage) {
+        modalTitle.textContent = title;
+        modalMessage.textContent = '';
+        modalMessage.classList.remove('modal-error');
+        setModalBody(bodyHTML);
+        modal.classList.remove('hidden-modal');
+    }
+}
+
+/**
+ * Shows a validation message above the open dialog, keeping what was typed
+ */
+function showDialogError(message) {
+    const modalMessage = document.getElementById('modal-message');
+    if (modalMessage) {
+        modalMessage.textContent = message;
+        modalMessage.classList.add('modal-error');
+    }
+}
+
+/**
+ * Replaces the custom content area of the modal
+ */
+function setModalBody(html) {
+    const modalBody = document.getElementById('modal-body');
+    if (modalBody) {
+        modalBody.innerHTML = html;
+    }
+}
+
+/**
+ * Closes modal
+ */
+function closeModal() {
+    const modal = document.getElementById('app-modal');
+    if (modal) {
+        modal.classList.add('hidden-modal');
+    }
+    setModalBody('');
+}
+
+/**
+ * Shows toast notification
+ */
+function showToast(message, options = {}) {
+    const { actionLabel, onAction, duration = 3000 } = options;
+    const toast = document.createElement('div');
+    toast.className = 'success-toast';
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    const dismiss = () => {
+        toast.style.animation = 'fadeIn 0.3s ease-out reverse';
+        setTimeout(() => toast.remove(), 300);
+    };
+
+    if (actionLabel && onAction) {
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = actionLabel;
+        actionBtn.addEventListener('click', () => {
+            dismiss();
+            onAction();
+        });
+        toast.appendChild(actionBtn);
+    }
+
+    // A duration of 0 keeps the toast until its action is used
+    if (duration > 0) {
+        setTimeout(dismiss, duration);
+    }
+    return toast;
+}
+
+/**
+ * Formats timestamp
+ */
+function formatTimestamp(timestamp) {
+    if (timestamp instanceof Date) {
+        return timestamp.toLocaleString('en-US', { 
+            month: 'short', 
+            day: 'numeric', 
+            hour: '2-digit', 
+            minute: '2-digit' 
+        });
+    }
+    return 'Date unknown';
+}
+
+/**
+ * Formats a date as a value for datetime-local inputs
+ */
+function toDateTimeLocalValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Escapes HTML to prevent XSS
+ */
+function escapeHtml(str) {
+    if (typeof str !== 'string') return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets mood emoji
+ */
+function getMoodEmoji(mood) {
+    const found = findMood(mood);
+    return found ? found.emoji : '😐';
+}
+
+// ===== THEME MANAGEMENT =====
+
+/**
+ * Toggles between light and dark theme
+ */
+function toggleTheme() {
+    const currentTheme = document.documentElement.getAttribute('data-theme');
+    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+    
+    document.documentElement.setAttribute('data-theme', newTheme);
+    localStorage.setItem(profileKey(THEME_KEY), newTheme);
+    
+    const themeBtn = document.getElementById('toggle-theme-btn');
+    if (themeBtn) {
+        themeBtn.textContent = newTheme === 'light' ? '☀️' : '🌙';
+    }
+    
+    showToast(`Switched to ${newTheme} theme`);
+}
+
+/**
+ * Loads saved theme
+ */
+function loadTheme() {
+    const savedTheme = localStorage.getItem(profileKey(THEME_KEY)) || 'dark';
+    document.documentElement.setAttribute('data-theme', savedTheme);
+    
+    const themeBtn = document.getElementById('toggle-theme-btn');
+    if (themeBtn) {
+        themeBtn.textContent = savedTheme === 'light' ? '☀️' : '🌙';
+    }
+}
+
+// ===== TAGS MANAGEMENT =====
+
+/**
+ * Adds a tag to current selection
+ */
+function addTag(tagName) {
+    const trimmedTag = tagName.trim().toLowerCase().slice(0, MAX_TAG_LENGTH);
+    if (trimmedTag && !selectedTags.includes(trimmedTag) && selectedTags.length >= MAX_TAGS) {
+        showToast(`You can add up to ${MAX_TAGS} tags per entry`);
+        return;
+    }
+    if (trimmedTag && !selectedTags.includes(trimmedTag)) {
+        selectedTags.push(trimmedTag);
+        renderSelectedTags();
+    }
+}
+
+/**
+ * Removes tag from selection
+ */
+function removeTag(tagName) {
+    selectedTags = selectedTags.filter(tag => tag !== tagName);
+    renderSelectedTags();
+}
+
+/**
+ * Renders selected tags
+ */
+function renderSelectedTags() {
+    const container = document.getElementById('selected-tags');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    selectedTags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.innerHTML = `
+            ${escapeHtml(tag)}
+            <span class="tag-remove" data-tag="${escapeHtml(tag)}" onclick="removeTag(this.dataset.tag)">×</span>
+        `;
+        container.appendChild(chip);
+    });
+
+    const input = document.getElementById('tag-input');
+    if (input) {
+        input.placeholder = selectedTags.length >= MAX_TAGS
+            ? `Tag limit reached (${MAX_TAGS})`
+            : 'Add a tag and press Enter...';
+    }
+    renderSuggestedTags();
+}
+
+/**
+ * Normalizes a list of tags the same way addTag does
+ */
+function normalizeTags(tags) {
+    const normalized = [];
+    tags.forEach(tag => {
+        const trimmedTag = String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH);
+        if (trimmedTag && !normalized.includes(trimmedTag) && normalized.length < MAX_TAGS) {
+            normalized.push(trimmedTag);
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Counts how often each tag is used, most used first
+ */
+function getTagVocabulary() {
+    const counts = new Map();
+    moodEntries.forEach(entry => {
+        entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Shows the most used tags as one-click suggestions
+ */
+function renderSuggestedTags() {
+    const container = document.getElementById('suggested-tags');
+    if (!container) return;
+
+    const used = getTagVocabulary().map(item => item.tag);
+    const suggestions = (used.length > 0 ? used : DEFAULT_TAG_SUGGESTIONS)
+        .filter(tag => !selectedTags.includes(tag))
+        .slice(0, 5);
+    container.innerHTML = suggestions.map(tag =>
+        `<button type="button" class="tag-suggestion" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`
+    ).join('');
+}
+
+/**
+ * Known tags matching the typed text: prefix matches first, then by frequency
+ */
+function getTagCompletions(text) {
+    const query = text.trim().toLowerCase();
+    if (!query) return [];
+    return getTagVocabulary()
+        .filter(item => item.tag.includes(query) && !selectedTags.includes(item.tag))
+        .sort((a, b) => Number(b.tag.startsWith(query)) - Number(a.tag.startsWith(query)))
+        .slice(0, MAX_TAG_SUGGESTIONS);
+}
+
+let tagCompletionIndex = -1;
+
+function renderTagAutocomplete() {
+    const input = document.getElementById('tag-input');
+    const list = document.getElementById('tag-autocomplete');
+    if (!input || !list) return;
+
+    const completions = getTagCompletions(input.value);
+    tagCompletionIndex = Math.min(tagCompletionIndex, completions.length - 1);
+    list.classList.toggle('hidden', completions.length === 0);
+    list.innerHTML = completions.map((item, index) => `
+        <li class="tag-completion ${index === tagCompletionIndex ? 'active' : ''}" data-tag="${escapeHtml(item.tag)}"
+            onmousedown="event.preventDefault(); pickTagCompletion(this.dataset.tag)">
+            <span>${escapeHtml(item.tag)}</span>
+            <span class="tag-count">${item.count}</span>
+        </li>
+    `).join('');
+}
+
+function pickTagCompletion(tag) {
+    const input = document.getElementById('tag-input');
+    addTag(tag);
+    if (input) input.value = '';
+    tagCompletionIndex = -1;
+    renderTagAutocomplete();
+}
+
+/**
+ * Wires the tag input: autocomplete, Enter/comma to add, Backspace to remove
+ */
+function setupTagInput() {
+    const input = document.getElementById('tag-input');
+    const suggestions = document.getElementById('suggested-tags');
+
+    if (suggestions) {
+        suggestions.addEventListener('click', (e) => {
+            const button = e.target.closest('.tag-suggestion');
+            if (button) addTag(button.dataset.tag);
+        });
+    }
+    if (!input) return;
+
+    input.addEventListener('input', () => {
+        tagCompletionIndex = -1;
+        renderTagAutocomplete();
+    });
+    input.addEventListener('blur', () => {
+        document.getElementById('tag-autocomplete').classList.add('hidden');
+    });
+    input.addEventListener('keydown', (e) => {
+        const completions = getTagCompletions(input.value);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (completions.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            tagCompletionIndex = (tagCompletionIndex + step + completions.length) % completions.length;
+            renderTagAutocomplete();
+        } else if ((e.key === 'Enter' && !e.ctrlKey && !e.metaKey) || e.key === ',') {
+            // Plain Enter must not submit the mood form; Ctrl+Enter is the submit shortcut
+            e.preventDefault();
+            const picked = completions[tagCompletionIndex];
+            pickTagCompletion(picked ? picked.tag : input.value);
+        } else if (e.key === 'Escape') {
+            tagCompletionIndex = -1;
+            document.getElementById('tag-autocomplete').classList.add('hidden');
+        } else if (e.key === 'Backspace' && !input.value && selectedTags.length > 0) {
+            removeTag(selectedTags[selectedTags.length - 1]);
+        }
+    });
+}
+
+/**
+ * Shows history entries with a tag (clicked on a history card)
+ */
+function filterByTag(tag) {
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput) return;
+
+    const term = /[\s"]/.test(tag) ? `tag:"${tag.replace(/"/g, '')}"` : `tag:${tag}`;
+    const alreadyFiltered = parseSearchQuery(searchInput.value).tokens
+        .some(token => token.field === 'tag' && !token.negate && token.value.toLowerCase() === tag);
+    if (!alreadyFiltered) {
+        searchInput.value = `${searchInput.value.trim()} ${term}`.trim();
+    }
+    renderHistory();
+    if (searchInput.scrollIntoView) {
+        searchInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+// ===== TAG MANAGER =====
+
+/**
+ * Lists every tag with its usage count and rename/merge/delete controls
+ */
+function openTagManager() {
+    const vocabulary = getTagVocabulary();
+    const rows = vocabulary.map(({ tag, count }, index) => `
+        <div class="tag-manager-row">
+            <input type="checkbox" class="tag-merge-check" value="${escapeHtml(tag)}" title="Select to merge">
+            <input type="text" id="tag-rename-${index}" class="search-input" value="${escapeHtml(tag)}" maxlength="${MAX_TAG_LENGTH}">
+            <span class="tag-count" title="Entries">${count}</span>
+            <button class="edit-button" data-tag="${escapeHtml(tag)}" onclick="renameTag(this.dataset.tag, document.getElementById('tag-rename-${index}').value)">Rename</button>
+            <button class="edit-button" data-tag="${escapeHtml(tag)}" onclick="closeModal(); filterByTag(this.dataset.tag)">Show</button>
+            <button class="delete-button" data-tag="${escapeHtml(tag)}" onclick="deleteTag(this.dataset.tag)">Delete</button>
+        </div>
+    `).join('');
+
+    showDialog('🏷️ Manage Tags', vocabulary.length === 0
+        ? '<p class="modal-message">No tags yet. Add tags when you log a mood.</p>'
+        : `
+            <div class="tag-manager-list">${rows}</div>
+            <div class="tag-manager-merge">
+                <input type="text" id="tag-merge-target" class="search-input" placeholder="Merge selected tags into…" maxlength="${MAX_TAG_LENGTH}">
+                <button class="submit-button" onclick="mergeSelectedTags()">Merge</button>
+            </div>
+        `);
+}
+
+/**
+ * Replaces some tags with another across all entries (null removes them)
+ */
+function replaceTags(fromTags, toTag) {
+    let changedEntries = 0;
+    moodEntries.forEach(entry => {
+        if (!entry.tags.some(tag => fromTags.has(tag))) return;
+        const replaced = entry.tags.map(tag => (fromTags.has(tag) ? toTag : tag)).filter(Boolean);
+        entry.tags = normalizeTags(replaced);
+        changedEntries++;
+    });
+
+    selectedTags = normalizeTags(selectedTags.map(tag => (fromTags.has(tag) ? toTag : tag)).filter(Boolean));
+    renderSelectedTags();
+    return changedEntries;
+}
+
+/**
+ * Applies a tag change as one undoable step
+ */
+function applyTagChange(label, fromTags, toTag, message) {
+    const before = captureEntries();
+    const count = replaceTags(fromTags, toTag);
+    if (count === 0) return;
+
+    saveData();
+    pushUndo(label, before);
+    openTagManager();
+    renderAll();
+    showUndoToast(`${message} in ${count} ${count === 1 ? 'entry' : 'entries'}`);
+}
+
+function renameTag(tag, newName) {
+    const target = normalizeTags([newName])[0];
+    if (!target) {
+        showDialogError('Please enter a tag name.');
+        return;
+    }
+    if (target === tag) return;
+
+    const merging = getTagVocabulary().some(item => item.tag === target);
+    applyTagChange('Rename tag', new Set([tag]), target,
+        merging ? `Merged "${tag}" into "${target}"` : `Renamed "${tag}" to "${target}"`);
+}
+
+function mergeSelectedTags() {
+    const selected = [...document.querySelectorAll('.tag-merge-check:checked')].map(box => box.value);
+    const targetInput = document.getElementById('tag-merge-target');
+    const target = normalizeTags([targetInput ? targetInput.value : ''])[0] || selected[0];
+
+    if (selected.length < 2 && !(selected.length === 1 && target && target !== selected[0])) {
+        showDialogError('Select at least two tags to merge, or one tag and a new name.');
+        return;
+    }
+    applyTagChange('Merge tags', new Set(selected.filter(tag => tag !== target)), target,
+        `Merged ${selected.length} tags into "${target}"`);
+}
+
+function deleteTag(tag) {
+    applyTagChange('Delete tag', new Set([tag]), null, `Removed "${tag}"`);
+}
+
+// ===== UNDO / REDO & TRASH =====
+const MAX_UNDO_STEPS = 50;
+const UNDO_TOAST_DURATION = 6000;
+const TRASH_META_KEY = 'trash';
+let undoStack = [];
+let redoStack = [];
+let trash = [];
+
+/**
+ * Deep-copies entries so later edits don't change a recorded state
+ */
+function cloneEntries(entries) {
+    return entries.map(entry => hydrateEntry(JSON.parse(JSON.stringify(entry))));
+}
+
+/**
+ * Serialized entries by id, taken before a change so pushUndo can work out what it touched
+ */
+function captureEntries() {
+    return new Map(moodEntries.map(entry => [entry.id, JSON.stringify(entry)]));
+}
+
+/**
+ * Records a change to moodEntries; call after the change with captureEntries() from before it.
+ * Only the entries that differ are kept. Optional onUndo/onRedo hooks handle side effects outside moodEntries.
+ */
+function pushUndo(label, before, hooks = {}) {
+    const changes = [];
+    const seen = new Set();
+    moodEntries.forEach(entry => {
+        const after = JSON.stringify(entry);
+        seen.add(entry.id);
+        if (before.get(entry.id) !== after) changes.push({ id: entry.id, before: before.get(entry.id), after });
+    });
+    before.forEach((json, id) => {
+        if (!seen.has(id)) changes.push({ id, before: json, after: undefined });
+    });
+
+    undoStack.push({ label, changes, ...hooks });
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack = [];
+}
+
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+/**
+ * Puts the recorded entries of one side ('before' or 'after') of an undo step back in place
+ */
+function applyUndoChanges(changes, side) {
+    const byId = new Map(moodEntries.map(entry => [entry.id, entry]));
+    changes.forEach(change => {
+        if (change[side] === undefined) {
+            byId.delete(change.id);
+        } else {
+            byId.set(change.id, hydrateEntry(JSON.parse(change[side])));
+        }
+    });
+    moodEntries = [...byId.values()];
+    editingEntryId = null;
+    saveData();
+    renderAll();
+}
+
+function undo() {
+    const step = undoStack.pop();
+    if (!step) {
+        showToast('Nothing to undo');
+        return;
+    }
+    redoStack.push(step);
+    applyUndoChanges(step.changes, 'before');
+    if (step.onUndo) step.onUndo();
+    showToast(`Undone: ${step.label}`, { actionLabel: 'Redo', onAction: redo, duration: UNDO_TOAST_DURATION });
+}
+
+function redo() {
+    const step = redoStack.pop();
+    if (!step) {
+        showToast('Nothing to redo');
+        return;
+    }
+    undoStack.push(step);
+    applyUndoChanges(step.changes, 'after');
+    if (step.onRedo) step.onRedo();
+    showToast(`Redone: ${step.label}`, { actionLabel: 'Undo', onAction: undo, duration: UNDO_TOAST_DURATION });
+}
+
+/**
+ * Shows a toast whose Undo action reverts the most recent change
+ */
+function showUndoToast(message) {
+    const step = undoStack[undoStack.length - 1];
+    showToast(message, {
+        actionLabel: 'Undo',
+        onAction: () => {
+            // Only undo if nothing else was done since this toast appeared
+            if (undoStack[undoStack.length - 1] === step) undo();
+        },
+        duration: UNDO_TOAST_DURATION
+    });
+}
+
+/**
+ * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), leaving text fields their native undo
+ */
+function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    // Text fields keep their own undo; a focused mood radio or checkbox does not
+    if (isTypingTarget(e.target)) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+        redo();
+    } else {
+        undo();
+    }
+}
+
+/**
+ * Loads the trash of the active profile and drops expired batches
+ */
+async function loadTrash() {
+    trash = [];
+    let stored = await baseStorage.getMeta(TRASH_META_KEY);
+    if (!stored) return;
+    if (stored.encrypted) {
+        if (!encryptionKey) return;
+        stored = await decryptJson(encryptionKey, stored);
+    }
+
+    trash = stored.map(batch => ({
+        ...batch,
+        deletedAt: new Date(batch.deletedAt),
+        entries: batch.entries.map(hydrateEntry)
+    }));
+
+    const cutoff = Date.now() - settings.trash.retentionDays * 24 * 60 * 60 * 1000;
+    const kept = trash.filter(batch => batch.deletedAt.getTime() >= cutoff);
+    if (kept.length !== trash.length) {
+        trash = kept;
+        saveTrash();
+    }
+}
+
+/**
+ * Persists the trash, encrypted like the entries when privacy mode is on
+ */
+function saveTrash() {
+    if (!baseStorage) return saveQueue;
+    const plain = JSON.parse(JSON.stringify(trash));
+    const key = encryptionKey;
+    saveQueue = saveQueue
+        .then(async () => {
+            const value = key ? { encrypted: true, ...(await encryptJson(key, plain)) } : plain;
+            await baseStorage.setMeta(TRASH_META_KEY, value);
+        })
+        .catch(error => {
+            console.error("Error saving trash:", error);
+            showModal("Storage Error", "Could not save the trash.");
+        });
+    return saveQueue;
+}
+
+function addTrashBatch(batch) {
+    trash = [batch, ...trash.filter(item => item.id !== batch.id)];
+    saveTrash();
+}
+
+function removeTrashBatch(id) {
+    trash = trash.filter(batch => batch.id !== id);
+    saveTrash();
+}
+
+/**
+ * Shows cleared entries that can still be restored
+ */
+function openTrash() {
+    const retention = settings.trash.retentionDays;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const rows = trash.map(batch => {
+        const daysLeft = Math.max(0, Math.ceil((batch.deletedAt.getTime() + retention * dayMs - Date.now()) / dayMs));
+        return `
+            <div class="trash-item">
+                <div>
+                    <strong>${batch.entries.length} ${batch.entries.length === 1 ? 'entry' : 'entries'}</strong>
+                    <div class="revision-meta">Cleared ${formatTimestamp(batch.deletedAt)} · deleted for good in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}</div>
+                </div>
+                <div class="entry-actions">
+                    <button class="edit-button" onclick="restoreTrashBatch(${batch.id})">Restore</button>
+                    <button class="delete-button" onclick="purgeTrashBatch(${batch.id})">Delete forever</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    showDialog('🗑️ Trash', `
+        ${rows || '<p class="modal-message">The trash is empty.</p>'}
+        <label class="csv-map-row">
+            <span>Keep cleared entries for</span>
+            <select id="trash-retention" class="sort-select" onchange="saveTrashRetention(this.value)">
+                ${[7, 14, 30, 90, 365].map(days => `<option value="${days}" ${days === retention ? 'selected' : ''}>${days} days</option>`).join('')}
+            </select>
+        </label>
+    `);
+}
+
+function saveTrashRetention(value) {
+    settings.trash = { ...settings.trash, retentionDays: Number(value) };
+    saveSettings();
+    showToast(`Trash keeps entries for ${value} days`);
+}
+
+/**
+ * Puts a cleared batch back into the journal, skipping entries that already exist
+ */
+function restoreTrashBatch(id) {
+    const batch = trash.find(item => item.id === id);
+    if (!batch) return;
+
+    const before = captureEntries();
+    const existingIds = new Set(moodEntries.map(entry => entry.id));
+    const restored = batch.entries.filter(entry => !existingIds.has(entry.id));
+    moodEntries.push(...cloneEntries(restored));
+    removeTrashBatch(id);
+    saveData();
+    pushUndo('Restore from trash', before, {
+        onUndo: () => addTrashBatch(batch),
+        onRedo: () => removeTrashBatch(batch.id)
+    });
+
+    closeModal();
+    renderAll();
+    showUndoToast(`Restored ${restored.length} ${restored.length === 1 ? 'entry' : 'entries'}`);
+}
+
+/**
+ * Deletes a trash batch for good; undo history is dropped so it can't come back
+ */
+function purgeTrashBatch(id) {
+    removeTrashBatch(id);
+    clearUndoHistory();
+    openTrash();
+}
+
+// ===== BACKUP SNAPSHOTS =====
+const BACKUP_DB_NAME = 'moodTrackerBackups';
+const BACKUP_DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+const DAILY_SNAPSHOTS = 7;
+const WEEKLY_SNAPSHOTS = 8;
+const SNAPSHOT_DIFF_LIMIT = 20;
+let lastSnapshotDay = null;
+
+const BACKUP_DB_MIGRATIONS = {
+    1: (db) => {
+        db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+    }
+};
+
+/**
+ * Opens the backup store of the active profile. It lives apart from the
+ * entries (own database, or own localStorage key) so one can't corrupt the other.
+ */
+async function openBackupStore() {
+    const name = profileKey(BACKUP_DB_NAME);
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            const db = await openMoodDatabase(name, BACKUP_DB_MIGRATIONS, BACKUP_DB_VERSION);
+            const run = async (mode, action) => {
+                const tx = db.transaction(SNAPSHOT_STORE, mode);
+                const result = await idbRequest(action(tx.objectStore(SNAPSHOT_STORE)));
+                await idbTransactionDone(tx);
+                return result;
+            };
+            return {
+                list: () => run('readonly', store => store.getAll()),
+                put: snapshot => run('readwrite', store => store.put(snapshot)),
+                remove: id => run('readwrite', store => store.delete(id)),
+                close: () => db.close()
+            };
+        } catch (error) {
+            console.warn("Backup database unavailable, using localStorage:", error);
+        }
+    }
+
+    // localStorage shares its quota with the entries, so it keeps only the latest snapshot
+    const read = () => JSON.parse(localStorage.getItem(name) || '[]');
+    const write = list => localStorage.setItem(name, JSON.stringify(list));
+    const isSnapshot = item => item.kind !== 'quarantine';
+    return {
+        singleSnapshot: true,
+        list: async () => read(),
+        put: async snapshot => write([
+            ...read().filter(item => item.id !== snapshot.id && !(isSnapshot(item) && isSnapshot(snapshot))),
+            snapshot
+        ]),
+        remove: async id => write(read().filter(item => item.id !== id)),
+        close() {}
+    };
+}
+
+/**
+ * Decrypts and hydrates stored records, separating out the ones that can't be read
+ */
+async function decodeRecords(records, key) {
+    const entries = [];
+    const bad = [];
+    for (const record of Array.isArray(records) ? records : []) {
+        try {
+            const entry = hydrateEntry(await decodeRecord(record, key));
+            if (entry.id === undefined || typeof entry.mood !== 'string' || isNaN(entry.timestamp.getTime())) {
+                throw new Error('invalid entry');
+            }
+            entries.push(entry);
+        } catch (error) {
+            bad.push(record);
+        }
+    }
+    return { entries, bad };
+}
+
+/**
+ * Stores unreadable data in the backup store instead of discarding it; resolves true once stored
+ */
+async function quarantineData(raw, error) {
+    if (raw === null || raw === undefined) return false;
+    console.error("Quarantining unreadable data:", error);
+    const backups = await openBackupStore();
+    try {
+        await backups.put({
+            id: `quarantine-${Date.now()}`,
+            kind: 'quarantine',
+            createdAt: new Date().toISOString(),
+            error: error ? error.message : '',
+            raw
+        });
+    } finally {
+        backups.close();
+    }
+    showModal('Data Recovered',
+        'Some saved data could not be read. It was moved to quarantine instead of being deleted — open 🛟 Backups to download it.');
+    return true;
+}
+
+/**
+ * Monday-based week key for weekly snapshots
+ */
+function getWeekKey(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return getDayKey(start);
+}
+
+/**
+ * Summarizes entries for the snapshot list
+ */
+function summarizeEntries(entries) {
+    const times = entries.map(entry => entry.timestamp.getTime());
+    return {
+        count: entries.length,
+        from: times.length ? new Date(Math.min(...times)).toISOString() : null,
+        to: times.length ? new Date(Math.max(...times)).toISOString() : null
+    };
+}
+
+/**
+ * Takes today's daily and this week's weekly snapshot if they are missing,
+ * then prunes old ones. Records are copied as stored, so encrypted stays encrypted.
+ */
+async function maybeTakeSnapshot(force = false) {
+    const today = getDayKey(new Date());
+    if (!baseStorage || moodEntries.length === 0 || (!force && lastSnapshotDay === today)) return;
+    lastSnapshotDay = today;
+
+    const backups = await openBackupStore();
+    try {
+        const existing = await backups.list();
+        const records = await baseStorage.loadEntries();
+        const summary = summarizeEntries(moodEntries);
+        const storedSummary = encryptionKey ? { encrypted: true, ...(await encryptJson(encryptionKey, summary)) } : summary;
+        const periods = [['daily', today], ['weekly', getWeekKey(new Date())]];
+        if (backups.singleSnapshot) periods.length = 1;
+        if (force) periods.push(['manual', new Date().toISOString()]);
+
+        for (const [kind, period] of periods) {
+            const id = `${kind}-${period}`;
+            if (kind !== 'manual' && existing.some(item => item.id === id)) continue;
+            await backups.put({ id, kind, createdAt: new Date().toISOString(), summary: storedSummary, records });
+        }
+
+        const all = await backups.list();
+        const limits = { daily: DAILY_SNAPSHOTS, weekly: WEEKLY_SNAPSHOTS, manual: DAILY_SNAPSHOTS };
+        for (const kind of Object.keys(limits)) {
+            const expired = all
+                .filter(item => item.kind === kind)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(limits[kind]);
+            for (const item of expired) await backups.remove(item.id);
+        }
+    } catch (error) {
+        console.warn("Could not take backup snapshot:", error);
+    } finally {
+        backups.close();
+    }
+}
+
+/**
+ * Re-encodes one stored record for a new key (null stores it as plaintext).
+ * A record the old key can't open is already ciphertext and is kept as it is.
+ */
+async function reencodeSnapshotRecord(record, oldKey, newKey) {
+    let entry = record;
+    if (isEncryptedRecord(record)) {
+        if (!oldKey) return record;
+        try {
+            entry = await decryptJson(oldKey, record);
+        } catch (error) {
+            return record;
+        }
+    }
+    return newKey ? { id: entry.id, ...(await encryptJson(newKey, entry)) } : entry;
+}
+
+async function reencodeSnapshotSummary(summary, oldKey, newKey) {
+    if (!summary) return summary;
+    let plain = summary;
+    if (summary.encrypted) {
+        if (!oldKey) return summary;
+        try {
+            plain = await decryptJson(oldKey, summary);
+        } catch (error) {
+            return summary;
+        }
+    }
+    return newKey ? { encrypted: true, ...(await encryptJson(newKey, plain)) } : plain;
+}
+
+/**
+ * Re-encrypts snapshots after privacy mode or the passphrase changed, so no copy
+ * stays readable without the new passphrase. A snapshot that fails is deleted.
+ */
+async function reencryptSnapshots(oldKey, newKey) {
+    const backups = await openBackupStore();
+    try {
+        for (const snapshot of await backups.list()) {
+            if (snapshot.kind === 'quarantine') continue;
+            try {
+                const records = [];
+                for (const record of snapshot.records || []) {
+                    records.push(await reencodeSnapshotRecord(record, oldKey, newKey));
+                }
+                const summary = await reencodeSnapshotSummary(snapshot.summary, oldKey, newKey);
+                await backups.put({ ...snapshot, summary, records });
+            } catch (error) {
+                console.warn("Could not re-encrypt snapshot, deleting it:", error);
+                await backups.remove(snapshot.id);
+            }
+        }
+    } finally {
+        backups.close();
+    }
+}
+
+/**
+ * Reads the entries of a snapshot, decrypting with the current key
+ */
+async function readSnapshotEntries(snapshot) {
+    const { entries, bad } = await decodeRecords(snapshot.records, encryptionKey);
+    if (bad.length > 0 && entries.length === 0) {
+        throw new Error('Snapshot cannot be read with the current passphrase');
+    }
+    return entries;
+}
+
+async function readSnapshotSummary(snapshot) {
+    if (!snapshot.summary) return null;
+    if (!snapshot.summary.encrypted) return snapshot.summary;
+    try {
+        return await decryptJson(encryptionKey, snapshot.summary);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Lists snapshots and quarantined data
+ */
+async function openBackups() {
+    const backups = await openBackupStore();
+    let items;
+    try {
+        items = await backups.list();
+    } finally {
+        backups.close();
+    }
+    items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const kindLabels = { daily: 'Daily', weekly: 'Weekly', manual: 'Manual', quarantine: '⚠️ Quarantined' };
+    const rows = await Promise.all(items.map(async item => {
+        const created = formatTimestamp(new Date(item.createdAt));
+        if (item.kind === 'quarantine') {
+            return `
+                <div class="trash-item">
+                    <div>
+                        <strong>${kindLabels.quarantine}</strong>
+                        <div class="revision-meta">${created} · ${escapeHtml(item.error || 'unreadable data')}</div>
+                    </div>
+                    <div class="entry-actions">
+                        <button class="edit-button" onclick="downloadQuarantine('${item.id}')">Download</button>
+                        <button class="delete-button" onclick="deleteBackup('${item.id}')">Delete</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        const summary = await readSnapshotSummary(item);
+        const details = summary
+            ? `${summary.count} ${summary.count === 1 ? 'entry' : 'entries'}${summary.from
+                ? ` · ${new Date(summary.from).toLocaleDateString()} – ${new Date(summary.to).toLocaleDateString()}` : ''}`
+            : 'locked with an older passphrase';
+        return `
+            <div class="trash-item">
+                <div>
+                    <strong>${kindLabels[item.kind] || item.kind} · ${created}</strong>
+                    <div class="revision-meta">${details}</div>
+                </div>
+                <div class="entry-actions">
+                    <button class="edit-button" onclick="compareSnapshot('${item.id}')" ${summary ? '' : 'disabled'}>Compare</button>
+                </div>
+            </div>
+        `;
+    }));
+
+    const schedule = backups.singleSnapshot
+        ? 'This browser has no IndexedDB, so only the latest snapshot is kept to leave room for your entries.'
+        : `Snapshots are taken automatically: one a day for ${DAILY_SNAPSHOTS} days and one a week for ${WEEKLY_SNAPSHOTS} weeks.`;
+    showDialog('🛟 Backups', `
+        <p class="modal-message">${schedule}</p>
+        ${rows.join('') || '<p class="modal-message">No snapshots yet.</p>'}
+        <div class="entry-actions scale-actions">
+            <button class="secondary-button" onclick="backupNow()">Back up now</button>
+        </div>
+    `);
+}
+
+async function findBackup(id) {
+    const backups = await openBackupStore();
+    try {
+        return (await backups.list()).find(item => item.id === id);
+    } finally {
+        backups.close();
+    }
+}
+
+async function backupNow() {
+    if (moodEntries.length === 0) {
+        showToast('There are no entries to back up');
+        return;
+    }
+    await saveQueue;
+    await maybeTakeSnapshot(true);
+    await openBackups();
+    showToast('Snapshot saved');
+}
+
+async function deleteBackup(id) {
+    const backups = await openBackupStore();
+    try {
+        await backups.remove(id);
+    } finally {
+        backups.close();
+    }
+    await openBackups();
+}
+
+async function downloadQuarantine(id) {
+    const item = await findBackup(id);
+    if (!item) return;
+    const content = typeof item.raw === 'string' ? item.raw : JSON.stringify(item.raw, null, 2);
+    downloadFile(content, `${exportFileBase()}_quarantine_${item.createdAt.slice(0, 10)}.json`, 'application/json');
+}
+
+/**
+ * Describes one entry as a line of the snapshot diff
+ */
+function describeDiffEntry(entry) {
+    const note = entry.note ? ` — ${escapeHtml(entry.note.slice(0, 60))}${entry.note.length > 60 ? '…' : ''}` : '';
+    return `<li>${formatTimestamp(entry.timestamp)} · ${getMoodEmoji(entry.mood)} ${escapeHtml(entry.mood)}${note}</li>`;
+}
+
+/**
+ * Shows what restoring a snapshot would change
+ */
+async function compareSnapshot(id) {
+    const item = await findBackup(id);
+    if (!item) return;
+
+    let snapshotEntries;
+    try {
+        snapshotEntries = await readSnapshotEntries(item);
+    } catch (error) {
+        showModal('Backups', error.message);
+        return;
+    }
+
+    const current = new Map(moodEntries.map(entry => [entry.id, entry]));
+    const inSnapshot = new Map(snapshotEntries.map(entry => [entry.id, entry]));
+    const added = snapshotEntries.filter(entry => !current.has(entry.id));
+    const removed = moodEntries.filter(entry => !inSnapshot.has(entry.id));
+    const changed = snapshotEntries.filter(entry =>
+        current.has(entry.id) && entryContentKey(current.get(entry.id)) !== entryContentKey(entry)
+    );
+
+    const group = (title, entries) => entries.length === 0 ? '' : `
+        <div class="snapshot-group">
+            <strong>${title} (${entries.length})</strong>
+            <ul class="snapshot-diff">
+                ${entries.slice(0, SNAPSHOT_DIFF_LIMIT).map(describeDiffEntry).join('')}
+                ${entries.length > SNAPSHOT_DIFF_LIMIT ? `<li>…and ${entries.length - SNAPSHOT_DIFF_LIMIT} more</li>` : ''}
+            </ul>
+        </div>
+    `;
+    const diff = group('Brought back', added) + group('Changed back to the snapshot version', changed) + group('Removed (not in snapshot)', removed);
+
+    showDialog(`Snapshot from ${formatTimestamp(new Date(item.createdAt))}`, `
+        ${diff || '<p class="modal-message">This snapshot matches your current entries.</p>'}
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="restoreSnapshot('${item.id}')" ${diff ? '' : 'disabled'}>Restore this snapshot</button>
+            <button class="secondary-button" onclick="openBackups()">Back</button>
+        </div>
+    `);
+}
+
+/**
+ * Replaces the current entries with a snapshot (undoable)
+ */
+async function restoreSnapshot(id) {
+    const item = await findBackup(id);
+    if (!item) return;
+
+    let snapshotEntries;
+    try {
+        snapshotEntries = await readSnapshotEntries(item);
+    } catch (error) {
+        showModal('Backups', error.message);
+        return;
+    }
+
+    const before = captureEntries();
+    moodEntries = snapshotEntries;
+    saveData();
+    pushUndo('Restore snapshot', before);
+    closeModal();
+    renderAll();
+    showUndoToast(`Restored ${snapshotEntries.length} entries from the snapshot`);
+}
+
+// ===== SYNC =====
+// Push/pull contract: see SYNC.md (sync-server.js is a reference server)
+const SYNC_META_KEY = 'sync';
+const SYNC_SKIPPED_META_KEY = 'syncSkipped';
+const SYNC_DEBOUNCE = 2000;
+const SYNC_INTERVAL = 5 * 60 * 1000;
+const MAX_SYNC_CONFLICTS = 20;
+let syncState = createEmptySyncState();
+let syncStatus = 'idle';
+let syncError = '';
+let syncConflicts = [];
+let syncSkipped = [];
+let syncTimer = null;
+let syncInFlight = null;
+
+/**
+ * cursor: opaque server position of the last pull
+ * pending: id -> { updatedAt, deleted? } changed locally since the last push
+ */
+function createEmptySyncState() {
+    return { cursor: null, pending: {}, lastSyncAt: null };
+}
+
+function isSyncEnabled() {
+    return settings.sync.enabled && !!settings.sync.endpoint;
+}
+
+function getEntryUpdatedAt(entry) {
+    return entry.updatedAt || entry.timestamp.getTime();
+}
+
+/**
+ * Converts a pending key back into an entry ID
+ */
+function syncKeyToId(key) {
+    return isNaN(Number(key)) ? key : Number(key);
+}
+
+async function loadSyncState() {
+    const stored = await baseStorage.getMeta(SYNC_META_KEY);
+    syncState = { ...createEmptySyncState(), ...(stored || {}) };
+    syncConflicts = [];
+    syncSkipped = [];
+    let skipped = await baseStorage.getMeta(SYNC_SKIPPED_META_KEY);
+    if (skipped && skipped.encrypted) {
+        skipped = encryptionKey ? await decryptJson(encryptionKey, skipped) : null;
+    }
+    if (Array.isArray(skipped)) syncSkipped = skipped;
+    renderSyncStatus();
+}
+
+function resetSyncState() {
+    clearTimeout(syncTimer);
+    syncState = createEmptySyncState();
+    syncConflicts = [];
+    syncSkipped = [];
+    syncStatus = 'idle';
+    renderSyncStatus();
+}
+
+function saveSyncState() {
+    if (!baseStorage) return saveQueue;
+    const backend = baseStorage;
+    const state = JSON.parse(JSON.stringify(syncState));
+    saveQueue = saveQueue
+        .then(() => backend.setMeta(SYNC_META_KEY, state))
+        .catch(error => console.error("Error saving sync state:", error));
+    return saveQueue;
+}
+
+/**
+ * Saves pulled changes that could not be read; they hold entry content, so they are encrypted like the trash
+ */
+function saveSyncSkipped() {
+    if (!baseStorage) return saveQueue;
+    const backend = baseStorage;
+    const plain = JSON.parse(JSON.stringify(syncSkipped));
+    const key = encryptionKey;
+    saveQueue = saveQueue
+        .then(async () => {
+            const value = key ? { encrypted: true, ...(await encryptJson(key, plain)) } : plain;
+            await backend.setMeta(SYNC_SKIPPED_META_KEY, value);
+        })
+        .catch(error => console.error("Error saving skipped sync changes:", error));
+    return saveQueue;
+}
+
+/**
+ * Queues locally changed and deleted entries for the next push
+ */
+function recordSyncChanges(changed, removedIds) {
+    if (!isSyncEnabled()) return;
+    const now = Date.now();
+    changed.forEach(entry => {
+        syncState.pending[entry.id] = { updatedAt: getEntryUpdatedAt(entry) };
+    });
+    removedIds.forEach(id => {
+        syncState.pending[id] = { deleted: true, updatedAt: now };
+    });
+    saveSyncState();
+    renderSyncStatus();
+    scheduleSync();
+}
+
+function markAllEntriesPending() {
+    moodEntries.forEach(entry => {
+        syncState.pending[entry.id] = { updatedAt: getEntryUpdatedAt(entry) };
+    });
+}
+
+/**
+ * Adds moved entries to another profile's push queue, if that profile syncs
+ */
+async function queueSyncUpserts(backend, entries) {
+    const state = await backend.getMeta(SYNC_META_KEY);
+    if (!state) return;
+    entries.forEach(entry => {
+        state.pending[entry.id] = { updatedAt: getEntryUpdatedAt(entry) };
+    });
+    await backend.setMeta(SYNC_META_KEY, state);
+}
+
+function scheduleSync() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(syncNow, SYNC_DEBOUNCE);
+}
+
+async function syncRequest(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.sync.token) headers.Authorization = `Bearer ${settings.sync.token}`;
+
+    const response = await fetch(`${settings.sync.endpoint.replace(/\/+$/, '')}${path}`, {
+        method,
+        headers,
+        cache: 'no-store',
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+        throw new Error(`Server answered ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Runs one pull + push round; concurrent calls share the running one
+ */
+function syncNow() {
+    if (!isSyncEnabled() || !baseStorage || (settings.encryption.enabled && !encryptionKey)) {
+        return Promise.resolve();
+    }
+    if (!syncInFlight) {
+        syncInFlight = runSync().finally(() => {
+            syncInFlight = null;
+        });
+    }
+    return syncInFlight;
+}
+
+async function runSync() {
+    if (navigator.onLine === false) {
+        setSyncStatus('offline');
+        return;
+    }
+
+    const profileAtStart = activeProfileId;
+    const conflictsBefore = syncConflicts.length;
+    const skippedBefore = syncSkipped.length;
+    setSyncStatus('syncing');
+
+    try {
+        const since = syncState.cursor === null ? '' : syncState.cursor;
+        const pulled = await syncRequest('GET', `/changes?since=${encodeURIComponent(since)}`);
+        if (activeProfileId !== profileAtStart) return;
+        mergeRemoteChanges(pulled.changes || []);
+        if (pulled.cursor !== undefined && pulled.cursor !== null) syncState.cursor = pulled.cursor;
+
+        const sent = Object.entries(syncState.pending);
+        if (sent.length > 0) {
+            const pushed = await syncRequest('POST', '/changes', {
+                changes: sent.map(([key, item]) => buildLocalChange(key, item))
+            });
+            if (activeProfileId !== profileAtStart) return;
+
+            // Edits made while the request was out stay queued
+            sent.forEach(([key, item]) => {
+                if (syncState.pending[key] === item) delete syncState.pending[key];
+            });
+            const rejected = (pushed.results || []).filter(result => result.status === 'conflict' && result.current);
+            mergeRemoteChanges(rejected.map(result => result.current), { rejectedPush: true });
+        }
+
+        syncState.lastSyncAt = new Date().toISOString();
+        saveSyncState();
+        setSyncStatus('idle');
+    } catch (error) {
+        if (activeProfileId !== profileAtStart) return;
+        console.warn("Sync failed:", error);
+        // fetch rejects with a TypeError when the network is unreachable
+        setSyncStatus(error.name === 'TypeError' ? 'offline' : 'error', error.message);
+    }
+
+    const newConflicts = syncConflicts.length - conflictsBefore;
+    if (newConflicts > 0) {
+        showToast(`${newConflicts} sync ${newConflicts === 1 ? 'conflict' : 'conflicts'}: kept the newest version`, {
+            actionLabel: 'Review',
+            onAction: openSyncSettings,
+            duration: UNDO_TOAST_DURATION
+        });
+    }
+    const newSkipped = syncSkipped.length - skippedBefore;
+    if (newSkipped > 0) {
+        showToast(`${newSkipped} synced ${newSkipped === 1 ? 'change' : 'changes'} could not be read`, {
+            actionLabel: 'Review',
+            onAction: openSyncSettings,
+            duration: UNDO_TOAST_DURATION
+        });
+    }
+}
+
+/**
+ * Describes a queued local change in the wire format
+ */
+function buildLocalChange(key, item) {
+    const entry = moodEntries.find(e => String(e.id) === key);
+    if (item.deleted || !entry) {
+        return { id: syncKeyToId(key), updatedAt: item.updatedAt, deleted: true };
+    }
+    return { id: entry.id, updatedAt: getEntryUpdatedAt(entry), deleted: false, entry: JSON.parse(JSON.stringify(entry)) };
+}
+
+/**
+ * Checks a change from the server like an imported record; returns { entry } (null
+ * for a tombstone) or { errors }. Mood scales are per device, so unknown moods are kept.
+ */
+function readRemoteChange(change) {
+    if (!change || typeof change !== 'object' || !Number.isFinite(change.updatedAt)) {
+        return { errors: ['not a valid change'] };
+    }
+    if (change.deleted) return { entry: null };
+
+    const { entry, errors } = validateImportedEntry({ ...(change.entry || {}), id: change.id }, { keepUnknownMood: true });
+    if (errors) return { errors };
+    return { entry: { ...entry, updatedAt: change.updatedAt } };
+}
+
+/**
+ * Applies changes from the server. When an entry also changed locally since
+ * the last sync, the newer write wins and the clash is reported. Changes that
+ * can't be read are kept in syncSkipped so they can be reviewed and retried.
+ */
+function mergeRemoteChanges(changes, options = {}) {
+    let touched = false;
+    let skippedChanged = false;
+
+    changes.forEach(change => {
+        const { entry: remote, errors } = readRemoteChange(change);
+        const key = String(change && change.id);
+        // A later change to the same entry replaces one skipped before
+        const kept = syncSkipped.filter(item => !item.change || String(item.change.id) !== key);
+        skippedChanged = skippedChanged || kept.length !== syncSkipped.length || !!errors;
+        syncSkipped = kept;
+        if (errors) {
+            syncSkipped.push({ at: new Date().toISOString(), errors, change });
+            return;
+        }
+        const local = moodEntries.find(entry => String(entry.id) === key) || null;
+        const pending = syncState.pending[key];
+
+        if (pending || options.rejectedPush) {
+            const same = (!remote && !local) || (remote && local && entryContentKey(remote) === entryContentKey(local));
+            const localWins = !options.rejectedPush && pending.updatedAt > change.updatedAt;
+            if (!same) {
+                const keptUpdatedAt = Math.max(change.updatedAt, pending ? pending.updatedAt : 0);
+                reportSyncConflict(change.id, local, remote, localWins ? 'local' : 'remote', keptUpdatedAt);
+            }
+            if (localWins) return;
+            delete syncState.pending[key];
+        } else if (local && remote && getEntryUpdatedAt(local) >= change.updatedAt) {
+            // Our own change echoed back, or an older version
+            return;
+        }
+
+        if (!remote) {
+            if (local) moodEntries = moodEntries.filter(entry => entry !== local);
+        } else if (local) {
+            moodEntries[moodEntries.indexOf(local)] = remote;
+        } else {
+            moodEntries.push(remote);
+        }
+        touched = true;
+    });
+
+    if (touched) {
+        saveData({ track: false });
+        renderAll();
+    }
+    if (skippedChanged) saveSyncSkipped();
+}
+
+/**
+ * Runs skipped changes through the merge again, e.g. after adding a missing tracked field
+ */
+function retrySkippedChanges() {
+    const changes = syncSkipped.map(item => item.change);
+    syncSkipped = [];
+    mergeRemoteChanges(changes);
+    saveSyncSkipped();
+    openSyncSettings();
+}
+
+function discardSkippedChange(index) {
+    syncSkipped.splice(index, 1);
+    saveSyncSkipped();
+    openSyncSettings();
+}
+
+function reportSyncConflict(id, local, remote, winner, keptUpdatedAt) {
+    syncConflicts.unshift({
+        id,
+        at: new Date(),
+        winner,
+        keptUpdatedAt,
+        local: local ? cloneEntries([local])[0] : null,
+        remote
+    });
+    syncConflicts = syncConflicts.slice(0, MAX_SYNC_CONFLICTS);
+}
+
+function setSyncStatus(status, error = '') {
+    syncStatus = status;
+    syncError = error;
+    renderSyncStatus();
+}
+
+/**
+ * Updates the header sync indicator
+ */
+function renderSyncStatus() {
+    const btn = document.getElementById('sync-status-btn');
+    if (!btn) return;
+
+    const pendingCount = Object.keys(syncState.pending).length;
+    const lastSync = syncState.lastSyncAt ? `Last synced ${formatTimestamp(new Date(syncState.lastSyncAt))}` : 'Not synced yet';
+    const states = {
+        idle: ['☁️', lastSync],
+        syncing: ['🔄', 'Syncing…'],
+        offline: ['📴', `Offline — ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting`],
+        error: ['⚠️', `Sync failed: ${syncError}`]
+    };
+
+    if (!isSyncEnabled()) {
+        btn.textContent = '☁️';
+        btn.title = 'Sync is off';
+        btn.classList.add('sync-off');
+        return;
+    }
+
+    const [icon, title] = states[syncStatus] || states.idle;
+    btn.classList.remove('sync-off');
+    btn.textContent = pendingCount > 0 && syncStatus !== 'syncing' ? `${icon} ${pendingCount}` : icon;
+    btn.title = title;
+}
+
+/**
+ * Opens the sync settings, status and conflict report
+ */
+function openSyncSettings() {
+    const { enabled, endpoint, token } = settings.sync;
+    const pendingCount = Object.keys(syncState.pending).length;
+    const describe = entry => entry
+        ? `${getMoodEmoji(entry.mood)} ${escapeHtml(entry.mood)}${entry.note ? ` — ${escapeHtml(entry.note.slice(0, 50))}` : ''}`
+        : '<em>deleted</em>';
+
+    const conflicts = syncConflicts.map((conflict, index) => {
+        const kept = conflict.winner === 'local' ? conflict.local : conflict.remote;
+        const dropped = conflict.winner === 'local' ? conflict.remote : conflict.local;
+        return `
+            <div class="revision-item">
+                <div class="revision-meta">${formatTimestamp(conflict.at)} · kept ${conflict.winner === 'local' ? 'this device' : 'the server'}'s newer version</div>
+                <div>Kept: ${describe(kept)}</div>
+                <div>Replaced: ${describe(dropped)}</div>
+                <button class="secondary-button revision-restore" onclick="useConflictVersion(${index})">Use the replaced version</button>
+            </div>
+        `;
+    }).join('');
+
+    const skipped = syncSkipped.map((item, index) => {
+        const entry = item.change && item.change.entry;
+        return `
+            <div class="revision-item">
+                <div class="revision-meta">${formatTimestamp(new Date(item.at))} · ${escapeHtml(item.errors.join(', '))}</div>
+                <div>${entry ? escapeHtml(`${entry.mood} ${entry.note ? `— ${String(entry.note).slice(0, 50)}` : ''}`) : '<em>no entry data</em>'}</div>
+                <button class="delete-button revision-restore" onclick="discardSkippedChange(${index})">Discard</button>
+            </div>
+        `;
+    }).join('');
+
+    showDialog('☁️ Sync', `
+        <p class="modal-message">Sync entries with your own server. See SYNC.md for the API it needs to provide.</p>
+        ${settings.encryption.enabled
+            ? '<p class="modal-message">Privacy mode only encrypts this device. Entries are sent to the server unencrypted — use https and a server you trust.</p>'
+            : ''}
+        <label class="reminder-option">
+            <input type="checkbox" id="sync-enabled" ${enabled ? 'checked' : ''}> Sync this profile
+        </label>
+        <input type="url" id="sync-endpoint" class="search-input privacy-input" placeholder="https://example.com/mood-sync" value="${escapeHtml(endpoint)}">
+        <input type="password" id="sync-token" class="search-input privacy-input" placeholder="Access token (optional)" value="${escapeHtml(token)}">
+        <p class="revision-meta">${syncState.lastSyncAt ? `Last synced ${formatTimestamp(new Date(syncState.lastSyncAt))}` : 'Not synced yet'}
+            · ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting${syncStatus === 'error' ? ` · last error: ${escapeHtml(syncError)}` : ''}</p>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="saveSyncSettings()">Save</button>
+            <button class="secondary-button" onclick="syncNow().then(openSyncSettings)" ${isSyncEnabled() ? '' : 'disabled'}>Sync now</button>
+        </div>
+        ${conflicts ? `<h4 class="reminder-heading">Conflicts</h4><div class="revision-list">${conflicts}</div>` : ''}
+        ${skipped ? `
+            <h4 class="reminder-heading">Changes that could not be read</h4>
+            <p class="tag-insight-note">These came from the server but were not applied. Try again after fixing the cause, e.g. adding a missing tracked field.</p>
+            <div class="revision-list">${skipped}</div>
+            <button class="secondary-button" onclick="retrySkippedChanges()">Try again</button>
+        ` : ''}
+    `);
+}
+
+async function saveSyncSettings() {
+    const enabled = document.getElementById('sync-enabled').checked;
+    const endpoint = document.getElementById('sync-endpoint').value.trim();
+    const token = document.getElementById('sync-token').value.trim();
+
+    if (enabled) {
+        let url;
+        try {
+            url = new URL(endpoint);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            showDialogError('Please enter the full http(s) address of your sync server.');
+            return;
+        }
+    }
+
+    const restart = enabled && (!settings.sync.enabled || settings.sync.endpoint !== endpoint);
+    settings.sync = { enabled, endpoint, token };
+    saveSettings();
+
+    if (restart) {
+        // A new server (or sync switched back on): merge everything from scratch
+        syncState = createEmptySyncState();
+        markAllEntriesPending();
+        saveSyncState();
+    }
+    renderSyncStatus();
+    closeModal();
+    showToast(enabled ? 'Sync settings saved' : 'Sync turned off');
+    if (enabled) syncNow();
+}
+
+/**
+ * Replaces the kept version of a conflict with the one that lost (undoable)
+ */
+function useConflictVersion(index) {
+    const conflict = syncConflicts[index];
+    if (!conflict) return;
+    const replaced = conflict.winner === 'local' ? conflict.remote : conflict.local;
+
+    const before = captureEntries();
+    moodEntries = moodEntries.filter(entry => String(entry.id) !== String(conflict.id));
+    if (replaced) {
+        // saveData stamps it newer than the kept version so it wins the next sync
+        moodEntries.push({ ...cloneEntries([replaced])[0], updatedAt: conflict.keptUpdatedAt });
+    }
+    saveData();
+    pushUndo('Use other sync version', before);
+
+    syncConflicts.splice(index, 1);
+    closeModal();
+    renderAll();
+    showUndoToast('Switched to the other version');
+}
+
+// ===== CORE BUSINESS LOGIC =====
+
+/**
+ * Logs a new mood entry
+ */
+function logMood(e) {
+    e.preventDefault();
+
+    const moodElement = document.querySelector('input[name="mood"]:checked');
+    const noteElement = document.getElementById('note');
+
+    if (!moodElement) {
+        showModal("Error", "Please select a mood.");
+        return;
+    }
+
+    if (!noteElement) {
+        showModal("Error", "Note field not found.");
+        return;
+    }
+
+    const { metrics, errors } = readMetricInputs('metric');
+    if (errors.length > 0) {
+        showModal("Error", errors.join(' '));
+        return;
+    }
+
+    const newEntry = {
+        id: generateId(),
+        mood: moodElement.value,
+        note: noteElement.value.trim().substring(0, 500), 
+        tags: selectedTags.slice(),
+        metrics,
+        ...(attachedPrompt ? { prompt: attachedPrompt } : {}),
+        timestamp: new Date(),
+        timeZone: getLocalTimeZone(),
+        revisions: [],
+    };
+
+    const before = captureEntries();
+    moodEntries.unshift(newEntry);
+    saveData();
+    pushUndo('Log mood', before);
+    
+    showUndoToast(`✨ Your ${newEntry.mood} mood has been logged!`);
+    document.getElementById('mood-form').reset();
+    selectedTags = [];
+    renderSelectedTags();
+    resetJournalPrompt();
+    updateCharCount();
+    
+    renderAll();
+}
+
+/**
+ * Deletes entry by ID
+ */
+function deleteEntry(id) {
+    const before = captureEntries();
+    moodEntries = moodEntries.filter(entry => entry.id !== id);
+    saveData();
+    pushUndo('Delete entry', before);
+    renderAll();
+    showUndoToast('Entry deleted');
+}
+
+/**
+ * Finds an entry by ID
+ */
+function findEntry(id) {
+    return moodEntries.find(entry => entry.id === id);
+}
+
+/**
+ * Switches a history card into edit mode
+ */
+function startEditEntry(id) {
+    editingEntryId = id;
+    renderHistory();
+}
+
+/**
+ * Leaves edit mode without saving
+ */
+function cancelEditEntry() {
+    editingEntryId = null;
+    renderHistory();
+}
+
+/**
+ * Returns the editable fields of an entry as a revision record
+ */
+function snapshotEntry(entry) {
+    return {
+        mood: entry.mood,
+        note: entry.note,
+        tags: entry.tags.slice(),
+        metrics: { ...(entry.metrics || {}) },
+        timestamp: new Date(entry.timestamp),
+        editedAt: new Date()
+    };
+}
+
+/**
+ * Applies new values to an entry, keeping the previous values as a revision
+ */
+function applyEntryChanges(entry, changes) {
+    // Records from before metrics existed leave the current values alone
+    const metrics = changes.metrics || entry.metrics || {};
+    const unchanged = entry.mood === changes.mood &&
+        entry.note === changes.note &&
+        entry.tags.join(',') === changes.tags.join(',') &&
+        metricsKey(entry.metrics) === metricsKey(metrics) &&
+        entry.timestamp.getTime() === changes.timestamp.getTime();
+    if (unchanged) return false;
+
+    entry.revisions = entry.revisions || [];
+    entry.revisions.unshift(snapshotEntry(entry));
+    entry.mood = changes.mood;
+    entry.note = changes.note;
+    entry.tags = changes.tags.slice();
+    entry.metrics = { ...metrics };
+    if (entry.timestamp.getTime() !== changes.timestamp.getTime()) {
+        // The edit form shows wall-clock time on this device
+        entry.timeZone = getLocalTimeZone();
+    }
+    entry.timestamp = new Date(changes.timestamp);
+    return true;
+}
+
+/**
+ * Saves the edit form of a history card
+ */
+function saveEntryEdit(id) {
+    const entry = findEntry(id);
+    if (!entry) return;
+
+    const moodEl = document.getElementById(`edit-mood-${id}`);
+    const noteEl = document.getElementById(`edit-note-${id}`);
+    const tagsEl = document.getElementById(`edit-tags-${id}`);
+    const timeEl = document.getElementById(`edit-time-${id}`);
+    if (!moodEl || !noteEl || !tagsEl || !timeEl) return;
+
+    // datetime-local has minute precision, so keep the original if it was not touched
+    const timestamp = timeEl.value === toDateTimeLocalValue(entry.timestamp)
+        ? new Date(entry.timestamp)
+        : new Date(timeEl.value);
+    if (!findMood(moodEl.value)) {
+        showModal("Error", "Please select a mood.");
+        return;
+    }
+    if (isNaN(timestamp.getTime())) {
+        showModal("Error", "Please enter a valid date and time.");
+        return;
+    }
+    const { metrics, errors } = readMetricInputs(`edit-metric-${id}`);
+    if (errors.length > 0) {
+        showModal("Error", errors.join(' '));
+        return;
+    }
+
+    // Values of fields that are switched off are kept
+    const keptMetrics = { ...(entry.metrics || {}) };
+    getEnabledMetrics().forEach(metric => delete keptMetrics[metric.id]);
+
+    const before = captureEntries();
+    const changed = applyEntryChanges(entry, {
+        mood: moodEl.value,
+        note: noteEl.value.trim().substring(0, 500),
+        tags: normalizeTags(tagsEl.value.split(',')),
+        metrics: { ...keptMetrics, ...metrics },
+        timestamp
+    });
+
+    editingEntryId = null;
+    if (changed) {
+        saveData();
+        pushUndo('Edit entry', before);
+        showUndoToast('Entry updated');
+    }
+    renderAll();
+}
+
+/**
+ * Shows the revision log of an entry
+ */
+function showRevisionHistory(id) {
+    const entry = findEntry(id);
+    if (!entry || !entry.revisions || entry.revisions.length === 0) {
+        showModal('Revision History', 'This entry has not been edited.');
+        return;
+    }
+
+    const rows = entry.revisions.map((rev, index) => `
+        <div class="revision-item">
+            <div class="revision-header">
+                <strong>${getMoodEmoji(rev.mood)} ${escapeHtml(rev.mood)}</strong>
+                <span class="date-time-stamp">edited ${formatTimestamp(rev.editedAt)}</span>
+            </div>
+            <div class="revision-meta">Logged for ${formatTimestamp(rev.timestamp)}</div>
+            <p class="note-content">${rev.note ? escapeHtml(rev.note) : '<em>(No note recorded)</em>'}</p>
+            ${rev.tags.length > 0
+                ? `<div class="entry-tags">${rev.tags.map(tag => `<span class="entry-tag">${escapeHtml(tag)}</span>`).join('')}</div>`
+                : ''}
+            <button class="secondary-button revision-restore" onclick="restoreRevision(${entry.id}, ${index})">Restore this version</button>
+        </div>
+    `).join('');
+
+    showDialog('Revision History', `<div class="revision-list">${rows}</div>`);
+}
+
+/**
+ * Restores a previous revision; the current values become a new revision
+ */
+function restoreRevision(id, index) {
+    const entry = findEntry(id);
+    if (!entry || !entry.revisions || !entry.revisions[index]) return;
+
+    const before = captureEntries();
+    const rev = entry.revisions[index];
+    applyEntryChanges(entry, rev);
+    saveData();
+    pushUndo('Restore version', before);
+    closeModal();
+    renderAll();
+    showUndoToast('Previous version restored');
+}
+
+/**
+ * Moves all entries to the trash
+ */
+function clearAllData() {
+    if (moodEntries.length === 0) {
+        showToast('There are no entries to clear');
+        return;
+    }
+
+    const before = captureEntries();
+    const batch = { id: generateId(), deletedAt: new Date(), entries: cloneEntries(moodEntries) };
+    addTrashBatch(batch);
+    moodEntries = [];
+    saveData();
+    pushUndo('Clear all entries', before, {
+        onUndo: () => removeTrashBatch(batch.id),
+        onRedo: () => addTrashBatch(batch)
+    });
+    renderAll();
+    showUndoToast(`All entries moved to trash for ${settings.trash.retentionDays} days`);
+}
+
+/**
+ * Filters moods
+ */
+function filterMoods(mood) {
+    currentFilter = mood;
+    
+    const filterButtons = document.querySelectorAll('.filter-btn');
+    filterButtons.forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.dataset.mood === mood) {
+            btn.classList.add('active');
+        }
+    });
+    
+    renderHistory();
+}
+
+/**
+ * Sorts entries
+ */
+function sortEntries(entries) {
+    const sorted = entries.slice();
+    
+    switch (currentSort) {
+        case 'newest':
+            return sorted.sort((a, b) => b.timestamp - a.timestamp);
+        case 'oldest':
+            return sorted.sort((a, b) => a.timestamp - b.timestamp);
+        case 'mood-best':
+            return sorted.sort((a, b) => getMoodScore(b.mood) - getMoodScore(a.mood));
+        case 'mood-worst':
+            return sorted.sort((a, b) => getMoodScore(a.mood) - getMoodScore(b.mood));
+        default:
+            return sorted;
+    }
+}
+
+// ===== STATISTICS & ANALYTICS =====
+
+/**
+ * Updates statistics dashboard
+ */
+function updateStats() {
+    const totalEl = document.getElementById('total-entries');
+    const streakEl = document.getElementById('current-streak');
+    const moodEl = document.getElementById('most-common-mood');
+    const weekEl = document.getElementById('this-week-entries');
+    const stats = computeStats(moodEntries);
+
+    if (totalEl) totalEl.textContent = stats.total;
+    if (streakEl) streakEl.textContent = stats.streak;
+    if (moodEl) moodEl.textContent = stats.mostCommon ? getMoodEmoji(stats.mostCommon) : '-';
+    if (weekEl) weekEl.textContent = stats.lastWeek;
+}
+
+/**
+ * Computes the dashboard stats for some entries as of a given day
+ */
+function computeStats(entries, asOf = new Date()) {
+    const streaks = computeStreaks(entries, asOf);
+
+    // Most common mood
+    const moodCounts = {};
+    entries.forEach(entry => {
+        moodCounts[entry.mood] = (moodCounts[entry.mood] || 0) + 1;
+    });
+    
+    const mostCommon = Object.keys(moodCounts).reduce((a, b) => 
+        moodCounts[a] > moodCounts[b] ? a : b, null);
+
+    // Entries in the 7 days up to asOf
+    const weekAgo = new Date(asOf);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    const lastWeek = entries.filter(entry => entry.timestamp >= weekAgo && entry.timestamp <= asOf).length;
+
+    return { total: entries.length, streak: streaks.current, longestStreak: streaks.longest, mostCommon, lastWeek };
+}
+
+/**
+ * Updates mood distribution chart
+ */
+function updateMoodDistribution() {
+    const container = document.getElementById('mood-distribution');
+    if (!container) return;
+
+    container.innerHTML = buildMoodDistributionHtml(moodEntries);
+}
+
+/**
+ * Builds the distribution bars for some entries
+ */
+function buildMoodDistributionHtml(entries) {
+    const total = entries.length || 1;
+
+    return getMoodScale().map(mood => {
+        const count = entries.filter(entry => entry.mood === mood.name).length;
+        const percentage = (count / total) * 100;
+        return `
+            <div class="mood-dist-item">
+                <div class="mood-dist-bar" style="width: ${percentage}%; background: ${mood.color}"></div>
+                <div class="mood-dist-label">
+                    <span>${escapeHtml(mood.emoji)} ${escapeHtml(mood.name)}</span>
+                    <span>${count}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Returns a local YYYY-MM-DD key for a date
+ */
+function getDayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parses a YYYY-MM-DD key into a local date
+ */
+function parseDayKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Groups entries by the day they were logged on
+ */
+function groupEntriesByDay(entries) {
+    const byDay = new Map();
+    entries.forEach(entry => {
+        const key = getEntryDayKey(entry);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(entry);
+    });
+    return byDay;
+}
+
+/**
+ * Returns the mood closest to the rounded average score of some entries
+ */
+function getAverageMood(entries) {
+    if (entries.length === 0) return null;
+    return getMoodForScore(averageScore(entries));
+}
+
+// ===== STREAKS & GOALS =====
+const GRACE_HOUR_OPTIONS = [0, 1, 2, 3, 4, 5, 6];
+const GOAL_TYPES = {
+    perDay: { label: 'entries per day', max: 10 },
+    daysPerWeek: { label: 'days per week', max: 7 }
+};
+const LONGEST_STREAKS_SHOWN = 5;
+const zonedFormatters = new Map();
+let goalDraft = null;
+
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock date and hour of a moment in a time zone (the device's when none is given)
+ */
+function getZonedParts(date, timeZone) {
+    const cacheKey = timeZone || '';
+    if (!zonedFormatters.has(cacheKey)) {
+        // Unknown zones share the device formatter but stay cached under their own name
+        const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : '';
+        if (!zonedFormatters.has(zone)) {
+            zonedFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone || undefined, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', hourCycle: 'h23'
+            }));
+        }
+        zonedFormatters.set(cacheKey, zonedFormatters.get(zone));
+    }
+
+    const parts = {};
+    zonedFormatters.get(cacheKey).formatToParts(date).forEach(part => { parts[part.type] = Number(part.value); });
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24 };
+}
+
+/**
+ * Day key of an entry in the time zone it was recorded in.
+ * With a grace hour, entries logged before that hour count for the previous day.
+ */
+function getEntryDayKey(entry, graceHour = 0) {
+    const { year, month, day, hour } = getZonedParts(entry.timestamp, entry.timeZone);
+    return getDayKey(new Date(year, month - 1, hour < graceHour ? day - 1 : day));
+}
+
+/**
+ * Moves a day key by some days (calendar days, so DST changes do not matter)
+ */
+function shiftDayKey(key, days) {
+    const date = parseDayKey(key);
+    return getDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+}
+
+/**
+ * Current streak, longest streak and every streak run, following the streak settings.
+ * Skip days neither break nor extend a streak, and today only counts once it is logged.
+ */
+function computeStreaks(entries, asOf = new Date(), rules = settings.streaks) {
+    const { graceHour, skipDays } = { ...DEFAULT_SETTINGS.streaks, ...rules };
+    const isSkipDay = key => skipDays.includes(parseDayKey(key).getDay());
+    // True when only skip days lie strictly between two days
+    const bridges = (from, to) => {
+        for (let key = shiftDayKey(from, 1); key < to; key = shiftDayKey(key, 1)) {
+            if (!isSkipDay(key)) return false;
+        }
+        return true;
+    };
+
+    const days = [...new Set(entries
+        .filter(entry => entry.timestamp <= asOf)
+        .map(entry => getEntryDayKey(entry, graceHour)))].sort();
+
+    const runs = [];
+    days.forEach(key => {
+        const run = runs[runs.length - 1];
+        if (run && bridges(run.end, key)) {
+            run.end = key;
+            run.length++;
+        } else {
+            runs.push({ start: key, end: key, length: 1 });
+        }
+    });
+
+    const today = getEntryDayKey({ timestamp: asOf }, graceHour);
+    const last = runs[runs.length - 1];
+    const current = last && (last.end === today || bridges(last.end, today)) ? last.length : 0;
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+
+    return { current, longest, runs };
+}
+
+/**
+ * Progress towards each goal for the current day or week
+ */
+function computeGoalProgress(entries, asOf = new Date()) {
+    const { graceHour } = settings.streaks;
+    const today = getEntryDayKey({ timestamp: asOf }, graceHour);
+    const weekStart = shiftDayKey(today, -parseDayKey(today).getDay());
+    const dayKeys = entries
+        .filter(entry => entry.timestamp <= asOf)
+        .map(entry => getEntryDayKey(entry, graceHour));
+
+    return settings.goals.map(goal => {
+        const value = goal.type === 'perDay'
+            ? dayKeys.filter(key => key === today).length
+            : new Set(dayKeys.filter(key => key >= weekStart && key <= today)).size;
+        return { ...goal, value, done: value >= goal.target };
+    });
+}
+
+/**
+ * SVG ring filled to a fraction
+ */
+function buildProgressRing(fraction) {
+    const radius = 34;
+    const circumference = 2 * Math.PI * radius;
+    const offset = circumference * (1 - Math.min(fraction, 1));
+    return `
+        <svg class="goal-ring-svg" viewBox="0 0 80 80" aria-hidden="true">
+            <circle class="goal-ring-track" cx="40" cy="40" r="${radius}"></circle>
+            <circle class="goal-ring-progress" cx="40" cy="40" r="${radius}" transform="rotate(-90 40 40)"
+                stroke-dasharray="${circumference.toFixed(2)}" stroke-dashoffset="${offset.toFixed(2)}"></circle>
+        </svg>
+    `;
+}
+
+/**
+ * Renders the goal rings and streak summary on the dashboard
+ */
+function renderGoals() {
+    const container = document.getElementById('goal-rings');
+    if (!container) return;
+
+    const streaks = computeStreaks(moodEntries);
+    const rings = computeGoalProgress(moodEntries).map(goal => `
+        <div class="goal-ring ${goal.done ? 'complete' : ''}" title="${goal.value} of ${goal.target}">
+            ${buildProgressRing(goal.value / goal.target)}
+            <div class="goal-ring-value">${goal.value}/${goal.target}</div>
+            <div class="goal-ring-label">${GOAL_TYPES[goal.type].label}</div>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="goal-streaks">
+            <span>🔥 Current streak: <strong>${streaks.current}</strong> ${streaks.current === 1 ? 'day' : 'days'}</span>
+            <span>🏆 Longest: <strong>${streaks.longest}</strong> ${streaks.longest === 1 ? 'day' : 'days'}</span>
+        </div>
+        ${rings ? `<div class="goal-ring-list">${rings}</div>` : '<p class="tag-insight-note">No goals yet. Set one with Edit, e.g. "5 days per week".</p>'}
+    `;
+}
+
+function formatDayKey(key) {
+    return parseDayKey(key).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Opens the streak rules and goals dialog on a copy of the current settings
+ */
+function openGoalSettings() {
+    goalDraft = {
+        streaks: { ...settings.streaks, skipDays: [...settings.streaks.skipDays] },
+        goals: settings.goals.map(goal => ({ ...goal }))
+    };
+    renderGoalSettings();
+}
+
+/**
+ * Renders the goals dialog from the draft
+ */
+function renderGoalSettings() {
+    const { graceHour, skipDays } = goalDraft.streaks;
+    const hourOptions = GRACE_HOUR_OPTIONS.map(hour => `
+        <option value="${hour}" ${hour === graceHour ? 'selected' : ''}>${hour === 0 ? 'Midnight' : `${hour}:00 AM`}</option>
+    `).join('');
+    const dayBoxes = WEEKDAY_NAMES.map((name, day) => `
+        <label class="reminder-day">
+            <input type="checkbox" class="streak-skip-day" value="${day}" ${skipDays.includes(day) ? 'checked' : ''}>
+            ${name.slice(0, 3)}
+        </label>
+    `).join('');
+    const goalRows = goalDraft.goals.map((goal, index) => `
+        <div class="scale-row">
+            <input type="number" id="goal-target-${index}" class="search-input goal-target" min="1" max="${GOAL_TYPES[goal.type].max}" value="${goal.target}">
+            <select id="goal-type-${index}" class="sort-select">
+                ${Object.entries(GOAL_TYPES).map(([type, info]) =>
+                    `<option value="${type}" ${type === goal.type ? 'selected' : ''}>${info.label}</option>`).join('')}
+            </select>
+            <button class="delete-button" onclick="removeGoal(${index})" title="Remove">×</button>
+        </div>
+    `).join('');
+    const history = computeStreaks(moodEntries).runs
+        .slice()
+        .sort((a, b) => b.length - a.length || b.end.localeCompare(a.end))
+        .slice(0, LONGEST_STREAKS_SHOWN)
+        .map(run => `
+            <li>${run.length} ${run.length === 1 ? 'day' : 'days'}
+                <span class="tag-insight-note">${formatDayKey(run.start)} – ${formatDayKey(run.end)}</span></li>
+        `).join('');
+
+    showDialog('🎯 Goals & Streaks', `
+        <h4 class="reminder-heading">A day ends at</h4>
+        <select id="streak-grace-hour" class="sort-select">${hourOptions}</select>
+        <p class="tag-insight-note">Entries logged before this hour count for the previous day.</p>
+        <h4 class="reminder-heading">Days that don't break a streak</h4>
+        <div class="reminder-days">${dayBoxes}</div>
+        <h4 class="reminder-heading">Goals</h4>
+        <div class="scale-rows">${goalRows}</div>
+        <button class="edit-button" onclick="addGoal()">+ Add goal</button>
+        <h4 class="reminder-heading">Longest streaks</h4>
+        ${history ? `<ol class="streak-history">${history}</ol>` : '<p class="tag-insight-note">No streaks yet.</p>'}
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="saveGoalSettings()">Save</button>
+            <button class="secondary-button" onclick="closeModal()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Copies the goals dialog inputs back into the draft
+ */
+function readGoalSettings() {
+    const graceEl = document.getElementById('streak-grace-hour');
+    if (graceEl) goalDraft.streaks.graceHour = Number(graceEl.value);
+    goalDraft.streaks.skipDays = [...document.querySelectorAll('.streak-skip-day:checked')].map(box => Number(box.value));
+    goalDraft.goals = goalDraft.goals.map((goal, index) => {
+        const typeEl = document.getElementById(`goal-type-${index}`);
+        const targetEl = document.getElementById(`goal-target-${index}`);
+        const type = typeEl && GOAL_TYPES[typeEl.value] ? typeEl.value : goal.type;
+        const target = targetEl ? Math.round(Number(targetEl.value)) : goal.target;
+        return { type, target };
+    });
+}
+
+function addGoal() {
+    readGoalSettings();
+    goalDraft.goals.push({ type: 'daysPerWeek', target: 5 });
+    renderGoalSettings();
+}
+
+function removeGoal(index) {
+    readGoalSettings();
+    goalDraft.goals.splice(index, 1);
+    renderGoalSettings();
+}
+
+function saveGoalSettings() {
+    readGoalSettings();
+    if (goalDraft.streaks.skipDays.length === WEEKDAY_NAMES.length) {
+        showDialogError('At least one day of the week has to count towards a streak.');
+        return;
+    }
+    const invalid = goalDraft.goals.find(goal => !(goal.target >= 1 && goal.target <= GOAL_TYPES[goal.type].max));
+    if (invalid) {
+        showDialogError(`A goal of ${GOAL_TYPES[invalid.type].label} must be between 1 and ${GOAL_TYPES[invalid.type].max}.`);
+        return;
+    }
+
+    settings.streaks = goalDraft.streaks;
+    settings.goals = goalDraft.goals;
+    goalDraft = null;
+    saveSettings();
+    closeModal();
+    renderAll();
+    showToast('Goals & streak rules saved');
+}
+
+/**
+ * Returns the days shown by the current calendar view
+ */
+function getCalendarDays() {
+    const days = [];
+    if (currentView === 'week') {
+        const start = new Date(calendarCursor);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - start.getDay());
+        for (let i = 0; i < 7; i++) {
+            days.push(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+        }
+    } else {
+        const year = calendarCursor.getFullYear();
+        const month = calendarCursor.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            days.push(new Date(year, month, day));
+        }
+    }
+    return days;
+}
+
+/**
+ * Renders calendar view
+ */
+function renderCalendar() {
+    const container = document.getElementById('calendar-view');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.classList.toggle('year-view', currentView === 'year');
+
+    if (currentView === 'year') {
+        renderYearView(container);
+        return;
+    }
+
+    const days = getCalendarDays();
+    const byDay = groupEntriesByDay(moodEntries);
+    const todayKey = getDayKey(new Date());
+
+    const titleEl = document.getElementById('calendar-title');
+    if (titleEl) {
+        titleEl.textContent = currentView === 'week'
+            ? `${days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+            : calendarCursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+
+    ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(name => {
+        const header = document.createElement('div');
+        header.className = 'calendar-weekday';
+        header.textContent = name;
+        container.appendChild(header);
+    });
+
+    for (let i = 0; i < days[0].getDay(); i++) {
+        const blank = document.createElement('div');
+        blank.className = 'calendar-day outside';
+        container.appendChild(blank);
+    }
+
+    days.forEach(date => {
+        const key = getDayKey(date);
+        const dayEntries = byDay.get(key) || [];
+
+        const dayEl = document.createElement('div');
+        dayEl.className = 'calendar-day';
+
+        if (dayEntries.length > 0) {
+            dayEl.classList.add('has-entry');
+            const avgMood = getAverageMood(dayEntries);
+            dayEl.innerHTML = `
+                <div class="calendar-day-number">${date.getDate()}</div>
+                <div class="calendar-day-emoji">${getMoodEmoji(avgMood)}</div>
+                <div class="calendar-day-count">${dayEntries.length} ${dayEntries.length === 1 ? 'entry' : 'entries'}</div>
+            `;
+            dayEl.title = `${date.toDateString()}: average ${avgMood}`;
+        } else {
+            dayEl.innerHTML = `
+                <div class="calendar-day-number">${date.getDate()}</div>
+            `;
+            dayEl.title = date.toDateString();
+        }
+
+        if (key === todayKey) {
+            dayEl.classList.add('today');
+        }
+        if (key === selectedDay) {
+            dayEl.classList.add('selected');
+        }
+
+        dayEl.addEventListener('click', () => selectCalendarDay(key));
+        container.appendChild(dayEl);
+    });
+}
+
+// ===== YEAR IN PIXELS =====
+const PIXEL_SIZE = 16;
+const PIXEL_GAP = 3;
+const PIXEL_LABEL_WIDTH = 36;
+const PIXEL_HEADER_HEIGHT = 18;
+const PIXEL_EMPTY_COLOR = '#64748b';
+
+/**
+ * Builds a standalone SVG with one row per month and one cell per day
+ */
+function buildYearPixelsSvg(year) {
+    const byDay = groupEntriesByDay(moodEntries.filter(entry => entry.timestamp.getFullYear() === year));
+    const step = PIXEL_SIZE + PIXEL_GAP;
+    const width = PIXEL_LABEL_WIDTH + 31 * step;
+    const height = PIXEL_HEADER_HEIGHT + 12 * step;
+    const parts = [];
+
+    for (let day = 1; day <= 31; day++) {
+        if (day === 1 || day % 5 === 0) {
+            const x = PIXEL_LABEL_WIDTH + (day - 1) * step + PIXEL_SIZE / 2;
+            parts.push(`<text x="${x}" y="12" font-size="9" text-anchor="middle" fill="#94a3b8">${day}</text>`);
+        }
+    }
+
+    for (let month = 0; month < 12; month++) {
+        const y = PIXEL_HEADER_HEIGHT + month * step;
+        const monthName = new Date(year, month, 1).toLocaleDateString('en-US', { month: 'short' });
+        parts.push(`<text x="0" y="${y + PIXEL_SIZE - 4}" font-size="10" fill="#94a3b8">${monthName}</text>`);
+
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(year, month, day);
+            const key = getDayKey(date);
+            const dayEntries = byDay.get(key) || [];
+            const mood = getAverageMood(dayEntries);
+            const x = PIXEL_LABEL_WIDTH + (day - 1) * step;
+            const tooltip = mood
+                ? `${date.toDateString()}: ${mood} (${dayEntries.length} ${dayEntries.length === 1 ? 'entry' : 'entries'})`
+                : `${date.toDateString()}: no entries`;
+            parts.push(
+                `<rect class="year-pixel" data-day="${key}" x="${x}" y="${y}" width="${PIXEL_SIZE}" height="${PIXEL_SIZE}" rx="3" ` +
+                `fill="${mood ? getMoodColor(mood) : PIXEL_EMPTY_COLOR}" fill-opacity="${mood ? 1 : 0.2}">` +
+                `<title>${escapeHtml(tooltip)}</title></rect>`
+            );
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+        `font-family="Inter, system-ui, sans-serif">${parts.join('')}</svg>`;
+}
+
+/**
+ * Renders the year heatmap, legend and export buttons into the calendar container
+ */
+function renderYearView(container) {
+    const year = calendarCursor.getFullYear();
+
+    const titleEl = document.getElementById('calendar-title');
+    if (titleEl) titleEl.textContent = String(year);
+
+    const legend = getMoodScale().map(mood =>
+        `<span class="legend-item"><span class="legend-swatch" style="background:${mood.color}"></span>${escapeHtml(mood.name)}</span>`
+    ).join('');
+
+    container.innerHTML = `
+        <div class="year-pixels">${buildYearPixelsSvg(year)}</div>
+        <div class="year-legend">
+            ${legend}
+            <span class="legend-item"><span class="legend-swatch legend-empty"></span>No entry</span>
+        </div>
+        <div class="entry-actions">
+            <button class="edit-button" onclick="exportYearPixels('svg')">⬇ SVG</button>
+            <button class="edit-button" onclick="exportYearPixels('png')">⬇ PNG</button>
+        </div>
+    `;
+
+    container.querySelectorAll('.year-pixel').forEach(pixel => {
+        if (pixel.dataset.day === selectedDay) pixel.classList.add('selected');
+        pixel.addEventListener('click', () => selectCalendarDay(pixel.dataset.day));
+    });
+}
+
+/**
+ * Downloads the year heatmap as an SVG or PNG image
+ */
+function exportYearPixels(format) {
+    const year = calendarCursor.getFullYear();
+    const svg = buildYearPixelsSvg(year);
+
+    if (format === 'svg') {
+        downloadFile(svg, `mood_year_${year}.svg`, 'image/svg+xml');
+        showToast('Year exported as SVG');
+        return;
+    }
+
+    const scale = 2;
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width * scale;
+        canvas.height = image.height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--card').trim() || '#1e293b';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => {
+            const pngUrl = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = pngUrl;
+            a.download = `mood_year_${year}.png`;
+            a.click();
+            URL.revokeObjectURL(pngUrl);
+            showToast('Year exported as PNG');
+        }, 'image/png');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        showModal('Export Error', 'Could not render the image.');
+    };
+    image.src = url;
+}
+
+/**
+ * Switches between week, month and year calendar views
+ */
+function setCalendarView(view) {
+    currentView = view;
+    document.querySelectorAll('.view-toggle .toggle-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    renderCalendar();
+}
+
+/**
+ * Moves the calendar one week or month backwards or forwards
+ */
+function shiftCalendar(direction) {
+    if (currentView === 'week') {
+        calendarCursor = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth(), calendarCursor.getDate() + 7 * direction);
+    } else if (currentView === 'year') {
+        calendarCursor = new Date(calendarCursor.getFullYear() + direction, 0, 1);
+    } else {
+        calendarCursor = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth() + direction, 1);
+    }
+    renderCalendar();
+}
+
+/**
+ * Jumps the calendar back to today
+ */
+function calendarToday() {
+    calendarCursor = new Date();
+    renderCalendar();
+}
+
+/**
+ * Filters history to one day; clicking the selected day again clears it
+ */
+function selectCalendarDay(key) {
+    selectedDay = selectedDay === key ? null : key;
+    renderCalendar();
+    renderHistory();
+
+    const historyList = document.getElementById('mood-history-list');
+    if (selectedDay && historyList && historyList.scrollIntoView) {
+        historyList.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Removes the day filter from history
+ */
+function clearDayFilter() {
+    selectedDay = null;
+    renderCalendar();
+    renderHistory();
+}
+
+/**
+ * Shows or hides the active day filter chip above history
+ */
+function renderDayFilter() {
+    const dayFilterEl = document.getElementById('day-filter');
+    if (!dayFilterEl) return;
+
+    if (!selectedDay) {
+        dayFilterEl.classList.add('hidden');
+        dayFilterEl.innerHTML = '';
+        return;
+    }
+
+    const label = parseDayKey(selectedDay).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    dayFilterEl.classList.remove('hidden');
+    dayFilterEl.innerHTML = `
+        <span class="tag-chip">
+            📅 ${label}
+            <span class="tag-remove" onclick="clearDayFilter()">×</span>
+        </span>
+    `;
+}
+
+// ===== TAG INSIGHTS =====
+const MIN_TAG_SAMPLE = 3;
+const MIN_PAIR_SAMPLE = 2;
+let tagInsightSort = 'mood';
+
+/**
+ * Average mood score of a list of entries
+ */
+function averageScore(entries) {
+    if (entries.length === 0) return null;
+    return entries.reduce((sum, entry) => sum + getMoodScore(entry.mood), 0) / entries.length;
+}
+
+/**
+ * Computes per-tag mood statistics and tag co-occurrence
+ */
+function computeTagInsights(entries) {
+    const baseline = averageScore(entries);
+    const byTag = new Map();
+    const pairs = new Map();
+
+    entries.forEach(entry => {
+        const tags = [...new Set(entry.tags)].sort();
+        tags.forEach((tag, i) => {
+            if (!byTag.has(tag)) byTag.set(tag, []);
+            byTag.get(tag).push(entry);
+
+            for (let j = i + 1; j < tags.length; j++) {
+                const key = `${tag}\u0000${tags[j]}`;
+                if (!pairs.has(key)) pairs.set(key, { tags: [tag, tags[j]], entries: [] });
+                pairs.get(key).entries.push(entry);
+            }
+        });
+    });
+
+    const tags = [...byTag.entries()].map(([tag, tagEntries]) => {
+        const average = averageScore(tagEntries);
+        return {
+            tag,
+            count: tagEntries.length,
+            average,
+            delta: average - baseline,
+            reliable: tagEntries.length >= MIN_TAG_SAMPLE
+        };
+    });
+
+    const pairList = [...pairs.values()]
+        .filter(pair => pair.entries.length >= MIN_PAIR_SAMPLE)
+        .map(pair => {
+            const [a, b] = pair.tags;
+            const smaller = Math.min(byTag.get(a).length, byTag.get(b).length);
+            return {
+                tags: pair.tags,
+                count: pair.entries.length,
+                share: pair.entries.length / smaller,
+                average: averageScore(pair.entries)
+            };
+        })
+        .sort((x, y) => y.count - x.count || y.share - x.share);
+
+    return { baseline, tags, pairs: pairList };
+}
+
+/**
+ * Renders the tag insights panel
+ */
+function renderTagInsights() {
+    const container = document.getElementById('tag-insights');
+    if (!container) return;
+
+    const { baseline, tags, pairs } = computeTagInsights(moodEntries);
+    if (tags.length === 0) {
+        container.innerHTML = '<p class="no-entries-message">Tag your entries to see which ones go with better or worse moods.</p>';
+        return;
+    }
+
+    const reliable = tags.filter(t => t.reliable);
+    const rare = tags.filter(t => !t.reliable);
+    const ranked = reliable.slice().sort((a, b) => tagInsightSort === 'frequency'
+        ? b.count - a.count || b.average - a.average
+        : b.average - a.average || b.count - a.count);
+
+    const rows = ranked.map(t => {
+        const deltaPercent = Math.min(Math.abs(t.delta) / ((getMaxMoodScore() - 1) / 2), 1) * 50;
+        const sign = t.delta >= 0 ? '+' : '−';
+        return `
+            <div class="tag-insight-row">
+                <span class="entry-tag">${escapeHtml(t.tag)}</span>
+                <span class="tag-insight-mood" title="Average score ${t.average.toFixed(2)} / ${getMaxMoodScore()}">${getMoodEmoji(getMoodForScore(t.average))} ${t.average.toFixed(1)}</span>
+                <div class="tag-insight-delta-track" title="${sign}${Math.abs(t.delta).toFixed(2)} vs. your baseline">
+                    <div class="tag-insight-delta ${t.delta >= 0 ? 'positive' : 'negative'}"
+                        style="width:${deltaPercent}%;${t.delta >= 0 ? 'left:50%' : `right:50%`}"></div>
+                </div>
+                <span class="tag-insight-delta-label">${sign}${Math.abs(t.delta).toFixed(1)}</span>
+                <span class="tag-insight-count">${t.count}×</span>
+            </div>
+        `;
+    }).join('');
+
+    const pairRows = pairs.slice(0, 8).map(pair => `
+        <div class="tag-insight-row">
+            <span class="entry-tag">${escapeHtml(pair.tags[0])}</span>
+            <span>+</span>
+            <span class="entry-tag">${escapeHtml(pair.tags[1])}</span>
+            <span class="tag-insight-count">${pair.count}× together (${Math.round(pair.share * 100)}%)</span>
+            <span class="tag-insight-mood">avg ${pair.average.toFixed(1)}</span>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="tag-insights-header">
+            <span>Baseline mood: <strong>${baseline.toFixed(1)}</strong> / ${getMaxMoodScore()}</span>
+            <select id="tag-insight-sort" class="sort-select">
+                <option value="mood" ${tagInsightSort === 'mood' ? 'selected' : ''}>Rank by mood</option>
+                <option value="frequency" ${tagInsightSort === 'frequency' ? 'selected' : ''}>Rank by frequency</option>
+            </select>
+        </div>
+        ${rows || `<p class="no-entries-message">No tag has ${MIN_TAG_SAMPLE}+ entries yet.</p>`}
+        ${rare.length > 0
+            ? `<p class="tag-insight-note">Not enough data yet (under ${MIN_TAG_SAMPLE} entries): ${rare.map(t => escapeHtml(t.tag)).join(', ')}</p>`
+            : ''}
+        <h3>Tags that appear together</h3>
+        ${pairRows || `<p class="tag-insight-note">No tag pair has appeared together ${MIN_PAIR_SAMPLE}+ times yet.</p>`}
+    `;
+
+    const sortSelect = document.getElementById('tag-insight-sort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            tagInsightSort = sortSelect.value;
+            renderTagInsights();
+        });
+    }
+}
+
+// ===== JOURNALING PROMPTS =====
+const MAX_PROMPT_LENGTH = 200;
+const PROMPT_TONES = {
+    positive: 'Good moods',
+    neutral: 'In-between moods',
+    negative: 'Hard moods',
+    any: 'Any mood'
+};
+// Gratitude and savoring for good moods, reflection in between, coping for hard ones
+const PROMPT_LIBRARY = {
+    positive: [
+        'What are you grateful for right now?',
+        'What made today go well, and how could you have more of it?',
+        'Who helped put you in this mood? Is there something you would like to tell them?',
+        'Describe a moment from today you want to remember.',
+        'What strength of yours showed up today?',
+        'What are you looking forward to next?'
+    ],
+    neutral: [
+        'What took up most of your attention today?',
+        'What is one small thing that could make tomorrow a bit better?',
+        'What did you notice today that you usually overlook?',
+        'How did your body feel today?',
+        "What is on your mind that you haven't said out loud?",
+        'What did you learn today, however small?'
+    ],
+    negative: [
+        'What is weighing on you most right now?',
+        "What is within your control here, and what isn't?",
+        'What would you say to a friend who felt this way?',
+        'What has helped you get through a day like this before?',
+        'What is one kind thing you can do for yourself in the next hour?',
+        'Who could you reach out to for support?'
+    ]
+};
+
+let suggestedPrompt = null;
+let attachedPrompt = null;
+let promptDismissed = false;
+let promptDraft = null;
+
+/**
+ * Whether a mood sits above, at or below the middle of the scale
+ */
+function getMoodTone(mood) {
+    const middle = (getMaxMoodScore() + 1) / 2;
+    const score = getMoodScore(mood);
+    return score > middle ? 'positive' : score < middle ? 'negative' : 'neutral';
+}
+
+/**
+ * Built-in and user prompts for a mood
+ */
+function getPromptsForMood(mood) {
+    const tone = getMoodTone(mood);
+    const custom = settings.prompts.custom
+        .filter(prompt => prompt.tone === tone || prompt.tone === 'any')
+        .map(prompt => prompt.text);
+    return [...custom, ...PROMPT_LIBRARY[tone]];
+}
+
+/**
+ * Picks a random prompt for the selected mood, avoiding the one shown now
+ */
+function shufflePrompt() {
+    const moodElement = document.querySelector('input[name="mood"]:checked');
+    if (!moodElement) return;
+
+    const prompts = getPromptsForMood(moodElement.value);
+    const others = prompts.filter(prompt => prompt !== suggestedPrompt);
+    const pool = others.length > 0 ? others : prompts;
+    const wasAttached = attachedPrompt !== null;
+    suggestedPrompt = pool[Math.floor(Math.random() * pool.length)];
+    attachedPrompt = wasAttached ? suggestedPrompt : null;
+    promptDismissed = false;
+    renderJournalPrompt();
+}
+
+/**
+ * Suggests a prompt when a mood is picked, unless one is already being answered
+ */
+function handleMoodSelected() {
+    if (!settings.prompts.enabled || attachedPrompt) return;
+    shufflePrompt();
+}
+
+/**
+ * Links the shown prompt to the entry being written, or unlinks it
+ */
+function toggleAttachedPrompt() {
+    attachedPrompt = attachedPrompt ? null : suggestedPrompt;
+    renderJournalPrompt();
+    if (attachedPrompt) document.getElementById('note').focus();
+}
+
+function dismissPrompt() {
+    attachedPrompt = null;
+    promptDismissed = true;
+    renderJournalPrompt();
+}
+
+function resetJournalPrompt() {
+    suggestedPrompt = null;
+    attachedPrompt = null;
+    promptDismissed = false;
+    renderJournalPrompt();
+}
+
+/**
+ * Shows the suggested prompt above the note box
+ */
+function renderJournalPrompt() {
+    const container = document.getElementById('journal-prompt');
+    const textEl = document.getElementById('journal-prompt-text');
+    const answerBtn = document.getElementById('prompt-answer-btn');
+    const note = document.getElementById('note');
+    if (!container || !textEl) return;
+
+    const visible = settings.prompts.enabled && suggestedPrompt !== null && !promptDismissed;
+    container.classList.toggle('hidden', !visible);
+    container.classList.toggle('attached', attachedPrompt !== null);
+    textEl.textContent = suggestedPrompt || '';
+    if (answerBtn) answerBtn.textContent = attachedPrompt ? '✓ Answering' : 'Answer this';
+    if (note) note.placeholder = attachedPrompt || 'Write a few thoughts about your day...';
+}
+
+/**
+ * Opens the prompt settings dialog on a copy of the current settings
+ */
+function openPromptSettings() {
+    promptDraft = {
+        enabled: settings.prompts.enabled,
+        custom: settings.prompts.custom.map(prompt => ({ ...prompt }))
+    };
+    renderPromptSettings();
+}
+
+/**
+ * Renders the prompt settings dialog from the draft
+ */
+function renderPromptSettings() {
+    const toneOptions = selected => Object.entries(PROMPT_TONES).map(([tone, label]) =>
+        `<option value="${tone}" ${tone === selected ? 'selected' : ''}>${label}</option>`).join('');
+    const rows = promptDraft.custom.map((prompt, index) => `
+        <div class="scale-row prompt-settings-row">
+            <input type="text" id="prompt-text-${index}" class="search-input" value="${escapeHtml(prompt.text)}" maxlength="${MAX_PROMPT_LENGTH}">
+            <select id="prompt-tone-${index}" class="sort-select">${toneOptions(prompt.tone)}</select>
+            <button class="delete-button" onclick="removeCustomPrompt(${index})" title="Remove">×</button>
+        </div>
+    `).join('');
+    const builtInCount = Object.values(PROMPT_LIBRARY).reduce((sum, list) => sum + list.length, 0);
+
+    showDialog('💭 Journaling Prompts', `
+        <label class="reminder-option">
+            <input type="checkbox" id="prompts-enabled" ${promptDraft.enabled ? 'checked' : ''}> Suggest a prompt when I pick a mood
+        </label>
+        <p class="tag-insight-note">${builtInCount} built-in prompts: gratitude for good moods, reflection in between, coping for hard moods.</p>
+        <h4 class="reminder-heading">Your prompts</h4>
+        <div class="scale-rows">${rows || '<p class="tag-insight-note">None yet.</p>'}</div>
+        <div class="scale-row prompt-settings-row">
+            <input type="text" id="prompt-new-text" class="search-input" placeholder="e.g. What drained your energy today?" maxlength="${MAX_PROMPT_LENGTH}">
+            <select id="prompt-new-tone" class="sort-select">${toneOptions('any')}</select>
+            <button class="edit-button" onclick="addCustomPrompt()">+ Add</button>
+        </div>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="savePromptSettings()">Save</button>
+            <button class="secondary-button" onclick="closeModal()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Copies the prompt dialog inputs back into the draft
+ */
+function readPromptSettings() {
+    const enabledEl = document.getElementById('prompts-enabled');
+    if (enabledEl) promptDraft.enabled = enabledEl.checked;
+    promptDraft.custom = promptDraft.custom.map((prompt, index) => {
+        const textEl = document.getElementById(`prompt-text-${index}`);
+        const toneEl = document.getElementById(`prompt-tone-${index}`);
+        return {
+            text: textEl ? textEl.value.trim() : prompt.text,
+            tone: toneEl && PROMPT_TONES[toneEl.value] ? toneEl.value : prompt.tone
+        };
+    });
+}
+
+function addCustomPrompt() {
+    const textEl = document.getElementById('prompt-new-text');
+    const toneEl = document.getElementById('prompt-new-tone');
+    const text = textEl ? textEl.value.trim() : '';
+    readPromptSettings();
+    if (!text) {
+        showDialogError('Please write the prompt first.');
+        return;
+    }
+    promptDraft.custom.push({ text, tone: toneEl && PROMPT_TONES[toneEl.value] ? toneEl.value : 'any' });
+    renderPromptSettings();
+}
+
+function removeCustomPrompt(index) {
+    readPromptSettings();
+    promptDraft.custom.splice(index, 1);
+    renderPromptSettings();
+}
+
+function savePromptSettings() {
+    readPromptSettings();
+    // Emptied rows are dropped here so row indices stay stable while editing
+    settings.prompts = { ...promptDraft, custom: promptDraft.custom.filter(prompt => prompt.text) };
+    promptDraft = null;
+    saveSettings();
+    closeModal();
+    if (!settings.prompts.enabled) resetJournalPrompt();
+    renderJournalPrompt();
+    showToast('Prompts saved');
+}
+
+/**
+ * Wires the prompt bar and mood picks
+ */
+function setupJournalPrompts() {
+    const moodOptions = document.getElementById('mood-options');
+    if (moodOptions) moodOptions.addEventListener('change', handleMoodSelected);
+
+    const actions = {
+        'prompt-answer-btn': toggleAttachedPrompt,
+        'prompt-shuffle-btn': shufflePrompt,
+        'prompt-manage-btn': openPromptSettings,
+        'prompt-dismiss-btn': dismissPrompt
+    };
+    Object.entries(actions).forEach(([id, action]) => {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', action);
+    });
+}
+
+// ===== TRACKED METRICS =====
+const METRIC_TYPES = {
+    number: 'Number',
+    scale: 'Scale 1–5',
+    boolean: 'Yes / No',
+    choice: 'Choice'
+};
+const SCALE_MIN = 1;
+const SCALE_MAX = 5;
+const MIN_CORRELATION_SAMPLE = 5;
+let metricDraft = null;
+
+function getEnabledMetrics() {
+    return settings.metrics.filter(metric => metric.enabled);
+}
+
+function findMetric(id) {
+    return settings.metrics.find(metric => metric.id === id);
+}
+
+/**
+ * Stable text form of an entry's metric values, for comparisons
+ */
+function metricsKey(metrics) {
+    return JSON.stringify(Object.keys(metrics || {}).sort().map(key => [key, metrics[key]]));
+}
+
+/**
+ * Converts a raw value (form, CSV or JSON) to a metric value.
+ * Returns { value } (undefined when blank) or { error }.
+ */
+function parseMetricValue(metric, raw) {
+    if (raw === undefined || raw === null || String(raw).trim() === '') return { value: undefined };
+    const text = String(raw).trim();
+
+    if (metric.type === 'boolean') {
+        if (raw === true || /^(yes|y|true|1)$/i.test(text)) return { value: true };
+        if (raw === false || /^(no|n|false|0)$/i.test(text)) return { value: false };
+        return { error: `${metric.label} must be yes or no` };
+    }
+
+    if (metric.type === 'choice') {
+        const option = (metric.options || []).find(opt => opt.toLowerCase() === text.toLowerCase());
+        return option ? { value: option } : { error: `${metric.label} must be one of: ${(metric.options || []).join(', ')}` };
+    }
+
+    const value = Number(text);
+    const min = metric.type === 'scale' ? SCALE_MIN : metric.min;
+    const max = metric.type === 'scale' ? SCALE_MAX : metric.max;
+    if (isNaN(value) || (metric.type === 'scale' && !Number.isInteger(value))) {
+        return { error: `${metric.label} must be a ${metric.type === 'scale' ? 'whole number' : 'number'}` };
+    }
+    if ((typeof min === 'number' && value < min) || (typeof max === 'number' && value > max)) {
+        return { error: `${metric.label} must be between ${min} and ${max}` };
+    }
+    return { value };
+}
+
+function formatMetricValue(metric, value) {
+    if (metric.type === 'boolean') return value ? 'Yes' : 'No';
+    if (metric.type === 'scale') return `${value}/${SCALE_MAX}`;
+    return String(value);
+}
+
+/**
+ * Builds form controls for the enabled metrics; ids are `${prefix}-${metric.id}`
+ */
+function buildMetricInputs(prefix, values = {}) {
+    return getEnabledMetrics().map(metric => {
+        const id = `${prefix}-${metric.id}`;
+        const value = values[metric.id];
+        const option = (optionValue, label) =>
+            `<option value="${escapeHtml(String(optionValue))}" ${String(value) === String(optionValue) ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+
+        let control;
+        if (metric.type === 'number') {
+            control = `<input type="number" id="${id}" class="search-input" value="${value === undefined ? '' : value}"
+                ${typeof metric.min === 'number' ? `min="${metric.min}"` : ''} ${typeof metric.max === 'number' ? `max="${metric.max}"` : ''}
+                step="${metric.step || 'any'}" placeholder="–">`;
+        } else {
+            const choices = metric.type === 'boolean'
+                ? [option(true, 'Yes'), option(false, 'No')]
+                : metric.type === 'scale'
+                    ? Array.from({ length: SCALE_MAX - SCALE_MIN + 1 }, (_, i) => option(SCALE_MIN + i, String(SCALE_MIN + i)))
+                    : (metric.options || []).map(opt => option(opt, opt));
+            control = `<select id="${id}" class="sort-select"><option value="">–</option>${choices.join('')}</select>`;
+        }
+
+        return `
+            <label class="metric-field" for="${id}">
+                <span>${escapeHtml(metric.icon || '📌')} ${escapeHtml(metric.label)}</span>
+                ${control}
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Reads the enabled metrics' controls; blank ones are left out
+ */
+function readMetricInputs(prefix) {
+    const metrics = {};
+    const errors = [];
+    getEnabledMetrics().forEach(metric => {
+        const input = document.getElementById(`${prefix}-${metric.id}`);
+        if (!input) return;
+        const { value, error } = parseMetricValue(metric, input.value);
+        if (error) errors.push(`${error}.`);
+        else if (value !== undefined) metrics[metric.id] = value;
+    });
+    return { metrics, errors };
+}
+
+/**
+ * Renders the metric controls in the mood form
+ */
+function renderMetricFields() {
+    const container = document.getElementById('metric-fields');
+    const section = document.getElementById('metrics-section');
+    if (!container) return;
+
+    container.innerHTML = buildMetricInputs('metric');
+    if (section) section.classList.toggle('hidden', getEnabledMetrics().length === 0);
+}
+
+/**
+ * Small chips with an entry's recorded metrics
+ */
+function buildEntryMetricsHtml(entry) {
+    const chips = Object.entries(entry.metrics || {}).map(([id, value]) => {
+        const metric = findMetric(id) || { label: id, icon: '📌', type: typeof value === 'boolean' ? 'boolean' : 'number' };
+        return `<span class="entry-metric">${escapeHtml(metric.icon || '📌')} ${escapeHtml(metric.label)}: ${escapeHtml(formatMetricValue(metric, value))}</span>`;
+    }).join('');
+    return chips ? `<div class="entry-metrics">${chips}</div>` : '';
+}
+
+/**
+ * Validates imported metric values against the configured fields.
+ * Values of fields not configured here are kept as they are.
+ */
+function validateImportedMetrics(data) {
+    if (typeof data !== 'object' || Array.isArray(data)) return { errors: ['metrics must be an object'] };
+
+    const metrics = {};
+    const errors = [];
+    Object.entries(data).forEach(([id, raw]) => {
+        const metric = findMetric(id);
+        if (!metric) {
+            if (['number', 'boolean', 'string'].includes(typeof raw)) metrics[id] = raw;
+            else errors.push(`metric "${id}" must be a number, yes/no or text`);
+            return;
+        }
+        const { value, error } = parseMetricValue(metric, raw);
+        if (error) errors.push(error);
+        else if (value !== undefined) metrics[id] = value;
+    });
+    return { metrics, errors };
+}
+
+// ===== METRIC CORRELATIONS =====
+
+/**
+ * Pearson correlation of two equally long lists; null when either does not vary
+ */
+function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * How each configured metric relates to mood
+ */
+function computeMetricCorrelations(entries) {
+    return settings.metrics.map(metric => {
+        const recorded = entries.filter(entry => entry.metrics && entry.metrics[metric.id] !== undefined);
+        const result = { metric, count: recorded.length, reliable: recorded.length >= MIN_CORRELATION_SAMPLE };
+
+        if (metric.type === 'number' || metric.type === 'scale') {
+            result.correlation = result.reliable
+                ? pearsonCorrelation(recorded.map(entry => Number(entry.metrics[metric.id])), recorded.map(entry => getMoodScore(entry.mood)))
+                : null;
+        } else {
+            const values = metric.type === 'boolean' ? [true, false] : (metric.options || []);
+            result.groups = values.map(value => {
+                const groupEntries = recorded.filter(entry => entry.metrics[metric.id] === value);
+                return { value, count: groupEntries.length, average: averageScore(groupEntries) };
+            }).filter(group => group.count > 0);
+        }
+        return result;
+    }).filter(result => result.count > 0);
+}
+
+function describeCorrelation(r) {
+    const strength = Math.abs(r);
+    if (strength < 0.1) return 'no clear link';
+    const word = strength >= 0.5 ? 'strong' : strength >= 0.3 ? 'moderate' : 'weak';
+    return `${word} ${r > 0 ? 'positive' : 'negative'} link`;
+}
+
+/**
+ * Renders the metric correlations panel
+ */
+function renderMetricCorrelations() {
+    const container = document.getElementById('metric-correlations');
+    if (!container) return;
+
+    const results = computeMetricCorrelations(moodEntries);
+    if (results.length === 0) {
+        container.innerHTML = '<p class="no-entries-message">Record sleep, energy and other fields with your moods to see how they relate.</p>';
+        return;
+    }
+
+    container.innerHTML = results.map(({ metric, count, reliable, correlation, groups }) => {
+        const name = `${escapeHtml(metric.icon || '📌')} ${escapeHtml(metric.label)}`;
+        let detail;
+        if (groups) {
+            detail = groups.map(group => `
+                <span class="tag-insight-mood" title="${group.count} entries">
+                    ${escapeHtml(formatMetricValue(metric, group.value))}: ${getMoodEmoji(getMoodForScore(group.average))} ${group.average.toFixed(1)}
+                </span>
+            `).join('');
+        } else if (!reliable) {
+            detail = `<span class="tag-insight-note">Not enough data yet (under ${MIN_CORRELATION_SAMPLE} entries)</span>`;
+        } else if (correlation === null) {
+            detail = '<span class="tag-insight-note">Always the same value so far</span>';
+        } else {
+            detail = `
+                <span class="tag-insight-mood">r = ${correlation.toFixed(2)}</span>
+                <span class="tag-insight-note">${describeCorrelation(correlation)} with mood</span>
+            `;
+        }
+        return `
+            <div class="tag-insight-row metric-correlation-row">
+                <span class="metric-correlation-name">${name}</span>
+                ${detail}
+                <span class="tag-insight-count">${count}×</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// ===== METRIC SETTINGS =====
+
+/**
+ * Opens the tracked fields dialog on a copy of the current fields
+ */
+function openMetricSettings() {
+    metricDraft = settings.metrics.map(metric => ({
+        ...metric,
+        ...(metric.options ? { options: [...metric.options] } : {})
+    }));
+    renderMetricSettings();
+}
+
+/**
+ * Renders the tracked fields dialog from the draft
+ */
+function renderMetricSettings() {
+    const typeOptions = Object.entries(METRIC_TYPES).map(([type, label]) =>
+        `<option value="${type}">${label}</option>`).join('');
+    const rows = metricDraft.map((metric, index) => `
+        <div class="scale-row metric-settings-row">
+            <input type="checkbox" id="metric-enabled-${index}" ${metric.enabled ? 'checked' : ''} title="Show in the form">
+            <input type="text" id="metric-icon-${index}" class="search-input scale-emoji" value="${escapeHtml(metric.icon || '')}" maxlength="4">
+            <input type="text" id="metric-label-${index}" class="search-input" value="${escapeHtml(metric.label)}" maxlength="40">
+            <span class="tag-insight-note">${METRIC_TYPES[metric.type]}</span>
+            ${metric.type === 'choice'
+                ? `<input type="text" id="metric-options-${index}" class="search-input" value="${escapeHtml((metric.options || []).join(', '))}" placeholder="Options, comma separated">`
+                : ''}
+            ${metric.custom ? `<button class="delete-button" onclick="removeMetric(${index})" title="Remove">×</button>` : ''}
+        </div>
+    `).join('');
+
+    showDialog('📏 Tracked Fields', `
+        <p class="tag-insight-note">Ticked fields appear in the mood form. Every field is optional when logging.</p>
+        <div class="scale-rows">${rows}</div>
+        <h4 class="reminder-heading">Add a field</h4>
+        <div class="scale-row">
+            <input type="text" id="metric-new-label" class="search-input" placeholder="Name, e.g. Water (glasses)" maxlength="40">
+            <select id="metric-new-type" class="sort-select">${typeOptions}</select>
+            <button class="edit-button" onclick="addMetric()">+ Add</button>
+        </div>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="saveMetricSettings()">Save</button>
+            <button class="secondary-button" onclick="closeModal()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Copies the tracked fields dialog inputs back into the draft
+ */
+function readMetricSettings() {
+    metricDraft.forEach((metric, index) => {
+        const enabledEl = document.getElementById(`metric-enabled-${index}`);
+        const iconEl = document.getElementById(`metric-icon-${index}`);
+        const labelEl = document.getElementById(`metric-label-${index}`);
+        const optionsEl = document.getElementById(`metric-options-${index}`);
+        if (enabledEl) metric.enabled = enabledEl.checked;
+        if (iconEl) metric.icon = iconEl.value.trim();
+        if (labelEl && labelEl.value.trim()) metric.label = labelEl.value.trim();
+        if (optionsEl) {
+            metric.options = [...new Set(optionsEl.value.split(',').map(opt => opt.trim()).filter(Boolean))];
+        }
+    });
+}
+
+function addMetric() {
+    readMetricSettings();
+    const labelEl = document.getElementById('metric-new-label');
+    const typeEl = document.getElementById('metric-new-type');
+    const label = labelEl ? labelEl.value.trim() : '';
+    if (!label) {
+        showDialogError('Please enter a name for the new field.');
+        return;
+    }
+
+    const type = typeEl && METRIC_TYPES[typeEl.value] ? typeEl.value : 'number';
+    metricDraft.push({
+        id: `custom-${generateId()}`,
+        label,
+        icon: '📌',
+        type,
+        ...(type === 'choice' ? { options: [] } : {}),
+        enabled: true,
+        custom: true
+    });
+    renderMetricSettings();
+}
+
+function removeMetric(index) {
+    readMetricSettings();
+    metricDraft.splice(index, 1);
+    renderMetricSettings();
+}
+
+function saveMetricSettings() {
+    readMetricSettings();
+    const emptyChoice = metricDraft.find(metric => metric.type === 'choice' && metric.options.length === 0);
+    if (emptyChoice) {
+        showDialogError(`Please give "${emptyChoice.label}" at least one option.`);
+        return;
+    }
+
+    settings.metrics = metricDraft;
+    metricDraft = null;
+    saveSettings();
+    closeModal();
+    renderMetricFields();
+    renderAll();
+    showToast('Tracked fields saved');
+}
+
+// ===== MOOD PATTERNS =====
+const TIME_BUCKETS = [
+    { id: 'morning', label: 'Morning', plural: 'mornings', from: 5, to: 12 },
+    { id: 'afternoon', label: 'Afternoon', plural: 'afternoons', from: 12, to: 17 },
+    { id: 'evening', label: 'Evening', plural: 'evenings', from: 17, to: 22 },
+    { id: 'night', label: 'Night', plural: 'nights', from: 22, to: 5 }
+];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MIN_PATTERN_SAMPLE = 2;
+
+/**
+ * Returns the index of the time-of-day bucket an hour falls into
+ */
+function getTimeBucketIndex(hour) {
+    return TIME_BUCKETS.findIndex(bucket => bucket.from < bucket.to
+        ? hour >= bucket.from && hour < bucket.to
+        : hour >= bucket.from || hour < bucket.to);
+}
+
+/**
+ * Groups entries into a weekday × time-of-day grid plus row and column totals
+ */
+function computeMoodPatterns(entries) {
+    const cells = WEEKDAY_NAMES.map(() => TIME_BUCKETS.map(() => []));
+    entries.forEach(entry => {
+        // Weekday and hour where the entry was logged
+        const { year, month, day, hour } = getZonedParts(entry.timestamp, entry.timeZone);
+        cells[new Date(year, month - 1, day).getDay()][getTimeBucketIndex(hour)].push(entry);
+    });
+
+    const summarize = list => ({ count: list.length, average: averageScore(list) });
+    return {
+        grid: cells.map(row => row.map(summarize)),
+        byWeekday: cells.map(row => summarize(row.flat())),
+        byBucket: TIME_BUCKETS.map((bucket, col) => summarize(cells.flatMap(row => row[col])))
+    };
+}
+
+/**
+ * Describes the best and worst weekday/time combination in plain language
+ */
+function describeMoodPatterns(patterns) {
+    const candidates = [];
+    patterns.grid.forEach((row, day) => row.forEach((cell, col) => {
+        if (cell.count >= MIN_PATTERN_SAMPLE) candidates.push({ day, col, ...cell });
+    }));
+    if (candidates.length < 2) {
+        return `Log a few more entries (at least ${MIN_PATTERN_SAMPLE} per time slot) to reveal your patterns.`;
+    }
+
+    const lowest = candidates.reduce((a, b) => b.average < a.average ? b : a);
+    const highest = candidates.reduce((a, b) => b.average > a.average ? b : a);
+    if (lowest.average === highest.average) {
+        return 'Your mood is steady across the week so far.';
+    }
+    const phrase = cell => `${WEEKDAY_NAMES[cell.day]} ${TIME_BUCKETS[cell.col].plural}`;
+    return `Your lowest moods are ${phrase(lowest)}, and your best are ${phrase(highest)}.`;
+}
+
+/**
+ * Renders a patterns grid cell
+ */
+function renderPatternCell(cell, className) {
+    if (cell.count === 0) {
+        return `<div class="${className} empty">–</div>`;
+    }
+    const mood = getMoodForScore(cell.average);
+    return `
+        <div class="${className}" style="background:${getMoodColor(mood)}33;border-color:${getMoodColor(mood)}"
+            title="${escapeHtml(mood)}: ${cell.average.toFixed(2)} avg from ${cell.count} ${cell.count === 1 ? 'entry' : 'entries'}">
+            <span>${getMoodEmoji(mood)} ${cell.average.toFixed(1)}</span>
+            <small>${cell.count}×</small>
+        </div>
+    `;
+}
+
+/**
+ * Renders the weekday × time-of-day patterns section
+ */
+function renderMoodPatterns() {
+    const container = document.getElementById('mood-patterns');
+    if (!container) return;
+
+    if (moodEntries.length === 0) {
+        container.innerHTML = '<p class="no-entries-message">Patterns appear once you have logged some moods.</p>';
+        return;
+    }
+
+    const patterns = computeMoodPatterns(moodEntries);
+    const header = `<div></div>${TIME_BUCKETS.map(b => `<div class="pattern-heading">${b.label}</div>`).join('')}<div class="pattern-heading">All</div>`;
+    const rows = WEEKDAY_NAMES.map((name, day) => `
+        <div class="pattern-heading">${name.slice(0, 3)}</div>
+        ${patterns.grid[day].map(cell => renderPatternCell(cell, 'pattern-cell')).join('')}
+        ${renderPatternCell(patterns.byWeekday[day], 'pattern-cell pattern-total')}
+    `).join('');
+    const totals = `
+        <div class="pattern-heading">All</div>
+        ${patterns.byBucket.map(cell => renderPatternCell(cell, 'pattern-cell pattern-total')).join('')}
+        <div></div>
+    `;
+
+    container.innerHTML = `
+        <p class="pattern-summary">${describeMoodPatterns(patterns)}</p>
+        <div class="pattern-grid">${header}${rows}${totals}</div>
+    `;
+}
+
+// ===== SEARCH QUERY LANGUAGE =====
+const SEARCH_FIELDS = ['tag', 'mood', 'before', 'after'];
+
+/**
+ * Splits a query into tokens: optional "-", optional field prefix, quoted or bare value
+ */
+function tokenizeSearchQuery(text) {
+    const tokens = [];
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const [raw, minus, field, quoted, bare] = match;
+        if (!raw.trim()) continue;
+
+        if (!minus && !field && quoted === undefined && (bare === 'OR' || bare === '|')) {
+            tokens.push({ type: 'or', raw });
+            continue;
+        }
+
+        const knownField = field && SEARCH_FIELDS.includes(field.toLowerCase()) ? field.toLowerCase() : null;
+        const value = quoted !== undefined ? quoted : bare;
+        tokens.push({
+            type: 'term',
+            raw,
+            negate: minus === '-',
+            field: knownField || (quoted !== undefined && !field ? 'phrase' : 'text'),
+            value: knownField || quoted !== undefined || !field ? value : `${field}:${value}`
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Parses a query into OR groups of AND-ed terms
+ */
+function parseSearchQuery(text) {
+    const tokens = tokenizeSearchQuery(text || '');
+    const groups = [[]];
+
+    tokens.forEach((token, index) => {
+        token.index = index;
+        if (token.type === 'or') {
+            if (groups[groups.length - 1].length > 0) groups.push([]);
+            return;
+        }
+        if (token.field === 'before' || token.field === 'after') {
+            token.date = /^\d{4}-\d{2}-\d{2}$/.test(token.value) ? parseDayKey(token.value) : null;
+            token.invalid = !token.date || isNaN(token.date.getTime());
+        }
+        if (token.value === '') token.invalid = true;
+        groups[groups.length - 1].push(token);
+    });
+
+    return { tokens, groups: groups.filter(group => group.length > 0) };
+}
+
+/**
+ * Tests a single search term against an entry
+ */
+function matchesSearchTerm(entry, term) {
+    if (term.invalid) return true;
+
+    const value = term.value.toLowerCase();
+    let matched;
+    switch (term.field) {
+        case 'tag':
+            matched = entry.tags.includes(value);
+            break;
+        case 'mood':
+            matched = entry.mood.toLowerCase().startsWith(value);
+            break;
+        case 'before':
+            matched = entry.timestamp < term.date;
+            break;
+        case 'after':
+            matched = entry.timestamp >= term.date;
+            break;
+        case 'phrase':
+            matched = entry.note.toLowerCase().includes(value);
+            break;
+        default:
+            matched = entry.note.toLowerCase().includes(value) ||
+                entry.mood.toLowerCase().includes(value) ||
+                entry.tags.some(tag => tag.includes(value)) ||
+                (entry.prompt || '').toLowerCase().includes(value);
+    }
+    return term.negate ? !matched : matched;
+}
+
+/**
+ * True when every term of at least one OR group matches
+ */
+function matchesSearchQuery(entry, query) {
+    return query.groups.some(group => group.every(term => matchesSearchTerm(entry, term)));
+}
+
+/**
+ * Escapes a note and wraps the positive text terms of the query in <mark>
+ */
+function highlightSearchTerms(note, query) {
+    const needles = query.groups.flat()
+        .filter(term => !term.negate && !term.invalid && (term.field === 'text' || term.field === 'phrase'))
+        .map(term => term.value.toLowerCase());
+    if (needles.length === 0) return escapeHtml(note);
+
+    const pattern = new RegExp(`(${needles.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return note.split(pattern).map((part, i) =>
+        i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    ).join('');
+}
+
+/**
+ * Describes a search term for its filter chip
+ */
+function describeSearchTerm(term) {
+    const labels = {
+        tag: `🏷️ ${term.value}`,
+        mood: `${getMoodEmoji(getMoodNames().find(m => m.toLowerCase().startsWith(term.value.toLowerCase())))} ${term.value}`,
+        before: `before ${term.value}`,
+        after: `after ${term.value}`,
+        phrase: `"${term.value}"`,
+        text: term.value
+    };
+    return `${term.negate ? 'not ' : ''}${labels[term.field]}`;
+}
+
+/**
+ * Renders the active search terms as removable chips
+ */
+function renderSearchChips(query) {
+    const container = document.getElementById('search-chips');
+    if (!container) return;
+
+    container.innerHTML = query.groups.map(group => group.map(term => `
+        <span class="tag-chip search-chip ${term.negate ? 'negated' : ''} ${term.invalid ? 'invalid' : ''}"
+            title="${term.invalid ? 'Ignored: invalid value' : escapeHtml(term.raw)}">
+            ${escapeHtml(describeSearchTerm(term))}
+            <span class="tag-remove" onclick="removeSearchTerm(${term.index})">×</span>
+        </span>
+    `).join('')).join('<span class="search-chip-or">OR</span>');
+}
+
+/**
+ * Removes one term from the search box
+ */
+function removeSearchTerm(index) {
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput) return;
+
+    const tokens = tokenizeSearchQuery(searchInput.value).filter((token, i) => i !== index);
+    // Drop OR separators left dangling at either end or next to each other
+    const cleaned = tokens.filter((token, i) => token.type !== 'or' ||
+        (i > 0 && i < tokens.length - 1 && tokens[i - 1].type !== 'or'));
+    searchInput.value = cleaned.map(token => token.raw.trim()).join(' ');
+    renderHistory();
+}
+
+// ===== UI RENDERING =====
+
+/**
+ * Returns the entries shown in history after mood, day and search filters
+ */
+function getVisibleEntries(query) {
+    if (!query) {
+        const searchInput = document.getElementById('search-input');
+        query = parseSearchQuery(searchInput ? searchInput.value : '');
+    }
+
+    let filteredEntries = currentFilter === 'All' 
+        ? moodEntries 
+        : moodEntries.filter(entry => entry.mood === currentFilter);
+
+    if (selectedDay) {
+        filteredEntries = filteredEntries.filter(entry => getEntryDayKey(entry) === selectedDay);
+    }
+
+    // Apply search filter
+    if (query.groups.length > 0) {
+        filteredEntries = filteredEntries.filter(entry => matchesSearchQuery(entry, query));
+    }
+
+    // Sort entries
+    return sortEntries(filteredEntries);
+}
+
+/**
+ * Renders history with filters and search
+ */
+function renderHistory() {
+    const historyList = document.getElementById('mood-history-list');
+    const noEntriesMessage = document.getElementById('no-entries-message');
+    const searchInput = document.getElementById('search-input');
+    
+    if (!historyList) return;
+
+    historyList.innerHTML = '';
+    if (noEntriesMessage) historyList.appendChild(noEntriesMessage);
+    renderDayFilter();
+
+    const query = parseSearchQuery(searchInput ? searchInput.value : '');
+    renderSearchChips(query);
+
+    const filteredEntries = getVisibleEntries(query);
+
+    if (filteredEntries.length === 0) {
+        if (noEntriesMessage) {
+            noEntriesMessage.textContent = searchInput && searchInput.value.trim()
+                ? "No entries match your search."
+                : selectedDay
+                    ? "No entries on this day."
+                    : currentFilter === 'All' 
+                        ? "No entries yet. Log your first mood above!"
+                        : `No ${currentFilter} entries found.`;
+            noEntriesMessage.style.display = 'block';
+        }
+        return;
+    }
+
+    if (noEntriesMessage) {
+        noEntriesMessage.style.display = 'none';
+    }
+
+    filteredEntries.forEach((entry, index) => {
+        const formattedDate = formatTimestamp(entry.timestamp);
+        const emoji = getMoodEmoji(entry.mood);
+
+        const item = document.createElement('div');
+        item.className = 'mood-history-item';
+        item.dataset.id = entry.id;
+        item.classList.toggle('keyboard-selected', entry.id === keyboardEntryId);
+        item.style.borderColor = getMoodColor(entry.mood);
+        item.style.animationDelay = `${index * 0.05}s`;
+        
+        const promptContent = entry.prompt
+            ? `<p class="entry-prompt">💭 ${escapeHtml(entry.prompt)}</p>`
+            : '';
+        const noteContent = promptContent + (entry.note && entry.note.length > 0 
+            ? `<p class="note-content">${highlightSearchTerms(entry.note, query)}</p>`
+            : `<p class="note-content" style="font-style:italic;opacity:0.7;">(No note recorded)</p>`);
+
+        const tagsHTML = entry.tags && entry.tags.length > 0
+            ? `<div class="entry-tags">
+                ${entry.tags.map(tag => `<button type="button" class="entry-tag entry-tag-filter" data-tag="${escapeHtml(tag)}" onclick="filterByTag(this.dataset.tag)" title="Show entries tagged ${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join('')}
+               </div>`
+            : '';
+
+        if (entry.id === editingEntryId) {
+            item.classList.add('editing');
+            item.innerHTML = `
+                <div class="history-emoji-box">
+                    ${emoji}
+                </div>
+                <div class="history-text-content">
+                    ${renderEditForm(entry)}
+                </div>
+            `;
+            historyList.appendChild(item);
+            return;
+        }
+
+        const revisionCount = entry.revisions ? entry.revisions.length : 0;
+        const historyButton = revisionCount > 0
+            ? `<button class="edit-button" onclick="showRevisionHistory(${entry.id})">History (${revisionCount})</button>`
+            : '';
+
+        item.innerHTML = `
+            <div class="history-emoji-box">
+                ${emoji}
+            </div>
+            <div class="history-text-content">
+                <div class="history-header-row">
+                    <h4>${escapeHtml(entry.mood)}</h4>
+                    <span class="date-time-stamp">${formattedDate}${revisionCount > 0 ? ' · edited' : ''}</span>
+                </div>
+                ${noteContent}
+                ${tagsHTML}
+                ${buildEntryMetricsHtml(entry)}
+                <div class="entry-actions">
+                    <button class="edit-button" onclick="startEditEntry(${entry.id})">Edit</button>
+                    ${historyButton}
+                    ${profiles.length > 1 ? `<button class="edit-button" onclick="showMoveEntries(${entry.id})">Move</button>` : ''}
+                    <button class="delete-button" onclick="deleteEntry(${entry.id})">Delete</button>
+                </div>
+            </div>
+        `;
+        historyList.appendChild(item);
+    });
+}
+
+/**
+ * Builds the inline edit form for a history card
+ */
+function renderEditForm(entry) {
+    const moodOptions = getMoodScale().map(mood =>
+        `<option value="${escapeHtml(mood.name)}" ${mood.name === entry.mood ? 'selected' : ''}>${escapeHtml(mood.emoji)} ${escapeHtml(mood.name)}</option>`
+    ).join('');
+
+    return `
+        <div class="edit-form">
+            <div class="edit-row">
+                <select id="edit-mood-${entry.id}" class="sort-select">${moodOptions}</select>
+                <input type="datetime-local" id="edit-time-${entry.id}" class="search-input edit-time"
+                    value="${toDateTimeLocalValue(entry.timestamp)}">
+            </div>
+            <textarea id="edit-note-${entry.id}" class="textarea-input" rows="3" maxlength="500">${escapeHtml(entry.note)}</textarea>
+            <input type="text" id="edit-tags-${entry.id}" class="search-input"
+                placeholder="Tags, separated by commas" value="${escapeHtml(entry.tags.join(', '))}">
+            <div class="metric-fields">${buildMetricInputs(`edit-metric-${entry.id}`, entry.metrics || {})}</div>
+            <div class="entry-actions">
+                <button class="edit-button" onclick="saveEntryEdit(${entry.id})">Save</button>
+                <button class="edit-button" onclick="cancelEditEntry()">Cancel</button>
+            </div>
+        </div>
+    `;
+}
+
+// ===== TREND CHART =====
+const TREND_WIDTH = 640;
+const TREND_HEIGHT = 220;
+const TREND_PADDING = { top: 12, right: 12, bottom: 28, left: 36 };
+const ROLLING_COLORS = { 7: '#ec4899', 30: '#a78bfa' };
+
+/**
+ * Returns the [start, end] days covered by the selected trend range
+ */
+function getTrendRange() {
+    const end = new Date();
+    end.setHours(0, 0, 0, 0);
+
+    if (trendRange === 'custom') {
+        const startInput = document.getElementById('trend-start');
+        const endInput = document.getElementById('trend-end');
+        const customStart = startInput && startInput.value ? parseDayKey(startInput.value) : null;
+        const customEnd = endInput && endInput.value ? parseDayKey(endInput.value) : end;
+        if (customStart && customStart <= customEnd) {
+            return [customStart, customEnd];
+        }
+    }
+
+    const days = trendRange === 'custom' ? 30 : Number(trendRange);
+    const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (days - 1));
+    return [start, end];
+}
+
+/**
+ * Computes the average mood score for every day between start and end
+ */
+function computeDailyAverages(start, end) {
+    const byDay = groupEntriesByDay(moodEntries);
+    const daily = [];
+    for (let date = new Date(start); date <= end; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+        const dayEntries = byDay.get(getDayKey(date)) || [];
+        daily.push({
+            date,
+            count: dayEntries.length,
+            average: averageScore(dayEntries)
+        });
+    }
+    return daily;
+}
+
+/**
+ * Averages the daily values over a trailing window, ignoring empty days
+ */
+function computeRollingAverage(daily, windowSize) {
+    return daily.map((day, index) => {
+        const window = daily.slice(Math.max(0, index - windowSize + 1), index + 1)
+            .filter(d => d.average !== null);
+        if (window.length === 0) return null;
+        return window.reduce((sum, d) => sum + d.average, 0) / window.length;
+    });
+}
+
+/**
+ * Builds an SVG path, starting a new segment after every gap
+ */
+function buildLinePath(values, xFor, yFor) {
+    let path = '';
+    let drawing = false;
+    values.forEach((value, index) => {
+        if (value === null) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${xFor(index).toFixed(1)},${yFor(value).toFixed(1)} `;
+        drawing = true;
+    });
+    return path.trim();
+}
+
+/**
+ * Renders the mood trend line chart
+ */
+function renderChart() {
+    const chart = document.getElementById('mood-chart');
+    const labels = document.getElementById('chart-labels');
+
+    if (!chart || !labels) return;
+
+    const [start, end] = getTrendRange();
+    const daily = computeDailyAverages(start, end);
+    const plotWidth = TREND_WIDTH - TREND_PADDING.left - TREND_PADDING.right;
+    const plotHeight = TREND_HEIGHT - TREND_PADDING.top - TREND_PADDING.bottom;
+    const slot = plotWidth / daily.length;
+    const xFor = index => TREND_PADDING.left + slot * (index + 0.5);
+    const maxScore = getMaxMoodScore();
+    const yFor = score => TREND_PADDING.top + plotHeight * (maxScore - score) / Math.max(1, maxScore - 1);
+    const parts = [];
+
+    getMoodNames().forEach(mood => {
+        const y = yFor(getMoodScore(mood));
+        parts.push(`<line x1="${TREND_PADDING.left}" x2="${TREND_WIDTH - TREND_PADDING.right}" y1="${y}" y2="${y}" class="trend-grid"/>`);
+        parts.push(`<text x="${TREND_PADDING.left - 8}" y="${y + 5}" text-anchor="end" font-size="13">${getMoodEmoji(mood)}</text>`);
+    });
+
+    // Shade runs of days without entries
+    let gapStart = null;
+    daily.forEach((day, index) => {
+        if (day.average === null && gapStart === null) gapStart = index;
+        if ((day.average !== null || index === daily.length - 1) && gapStart !== null) {
+            const gapEnd = day.average === null ? index + 1 : index;
+            parts.push(
+                `<rect class="trend-gap" x="${TREND_PADDING.left + slot * gapStart}" y="${TREND_PADDING.top}" ` +
+                `width="${slot * (gapEnd - gapStart)}" height="${plotHeight}">` +
+                `<title>No entries: ${daily[gapStart].date.toDateString()} – ${daily[gapEnd - 1].date.toDateString()}</title></rect>`
+            );
+            gapStart = null;
+        }
+    });
+
+    const labelCount = Math.min(daily.length, 5);
+    for (let i = 0; i < labelCount; i++) {
+        const index = labelCount === 1 ? 0 : Math.round(i * (daily.length - 1) / (labelCount - 1));
+        parts.push(
+            `<text x="${xFor(index)}" y="${TREND_HEIGHT - 8}" text-anchor="middle" class="trend-axis-label">` +
+            `${daily[index].date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</text>`
+        );
+    }
+
+    const dailyValues = daily.map(day => day.average);
+    parts.push(`<path d="${buildLinePath(dailyValues, xFor, yFor)}" class="trend-line"/>`);
+
+    Object.keys(ROLLING_COLORS).forEach(windowSize => {
+        if (!trendRollingWindows[windowSize]) return;
+        // The window of the first plotted day reaches back before the range
+        const leadDays = Number(windowSize) - 1;
+        const leadStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - leadDays);
+        const rolling = computeRollingAverage(computeDailyAverages(leadStart, end), Number(windowSize)).slice(leadDays);
+        parts.push(`<path d="${buildLinePath(rolling, xFor, yFor)}" class="trend-rolling" stroke="${ROLLING_COLORS[windowSize]}"/>`);
+    });
+
+    daily.forEach((day, index) => {
+        if (day.average === null) return;
+        parts.push(
+            `<circle cx="${xFor(index)}" cy="${yFor(day.average)}" r="3" class="trend-point">` +
+            `<title>${day.date.toDateString()}: ${day.average.toFixed(1)} avg from ${day.count} ${day.count === 1 ? 'entry' : 'entries'}</title></circle>`
+        );
+    });
+
+    chart.innerHTML = `<svg class="trend-svg" viewBox="0 0 ${TREND_WIDTH} ${TREND_HEIGHT}" role="img" aria-label="Mood trend">${parts.join('')}</svg>`;
+
+    const legend = [`<span class="legend-item"><span class="legend-swatch" style="background:var(--accent)"></span>Daily average</span>`];
+    Object.keys(ROLLING_COLORS).forEach(windowSize => {
+        if (trendRollingWindows[windowSize]) {
+            legend.push(`<span class="legend-item"><span class="legend-swatch" style="background:${ROLLING_COLORS[windowSize]}"></span>${windowSize}-day average</span>`);
+        }
+    });
+    legend.push(`<span class="legend-item"><span class="legend-swatch legend-empty"></span>No entries</span>`);
+    labels.innerHTML = legend.join('');
+}
+
+/**
+ * Wires the trend chart range and rolling average controls
+ */
+function setupTrendControls() {
+    const rangeSelect = document.getElementById('trend-range');
+    const customRange = document.getElementById('trend-custom-range');
+    if (rangeSelect) {
+        rangeSelect.addEventListener('change', () => {
+            trendRange = rangeSelect.value;
+            if (customRange) customRange.classList.toggle('hidden', trendRange !== 'custom');
+            renderChart();
+        });
+    }
+
+    ['trend-start', 'trend-end'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', renderChart);
+    });
+
+    document.querySelectorAll('.trend-rolling-toggle').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            trendRollingWindows[checkbox.value] = checkbox.checked;
+            renderChart();
+        });
+    });
+}
+
+// ===== SEARCH & FILTER EVENTS =====
+function setupSearchAndFilter() {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        searchInput.addEventListener('input', () => renderHistory());
+    }
+
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            currentSort = sortSelect.value;
+            renderHistory();
+        });
+    }
+
+}
+
+// ===== CALENDAR EVENTS =====
+function setupCalendarControls() {
+    document.querySelectorAll('.view-toggle .toggle-btn').forEach(btn => {
+        btn.addEventListener('click', () => setCalendarView(btn.dataset.view));
+    });
+
+    const prevBtn = document.getElementById('calendar-prev');
+    if (prevBtn) prevBtn.addEventListener('click', () => shiftCalendar(-1));
+
+    const nextBtn = document.getElementById('calendar-next');
+    if (nextBtn) nextBtn.addEventListener('click', () => shiftCalendar(1));
+
+    const todayBtn = document.getElementById('calendar-today');
+    if (todayBtn) todayBtn.addEventListener('click', calendarToday);
+}
+
+// ===== CHARACTER COUNT FOR NOTES =====
+function updateCharCount() {
+    const noteEl = document.getElementById('note');
+    const countEl = document.getElementById('char-count');
+    if (!noteEl || !countEl) return;
+
+    const maxChars = 500;
+    noteEl.addEventListener('input', () => {
+        const remaining = maxChars - noteEl.value.length;
+        countEl.textContent = `${remaining} characters remaining`;
+    });
+}
+
+// ===== EXPORT / IMPORT DATA =====
+const CSV_TAG_SEPARATOR = ';';
+const CSV_FIELDS = ['timestamp', 'mood', 'note', 'tags', 'timezone', 'prompt'];
+let pendingCsvImport = null;
+let pendingEncryptedImport = null;
+
+/**
+ * Triggers a browser download of text content
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Shows the available export formats
+ */
+function showExportOptions() {
+    showDialog(`Export ${getActiveProfile().name}`, `
+        <div class="export-options">
+            <button class="secondary-button" onclick="exportData(); closeModal();">📄 JSON (full backup)</button>
+            <button class="secondary-button" onclick="exportCsv(); closeModal();">📊 CSV (spreadsheets)</button>
+            <button class="secondary-button" onclick="showEncryptedExport()">🔐 Encrypted JSON</button>
+            <button class="secondary-button" onclick="showIcsOptions()">📅 Calendar (.ics)</button>
+        </div>
+    `);
+}
+
+function exportData() {
+    downloadFile(JSON.stringify(moodEntries, null, 2), `${exportFileBase()}.json`, 'application/json');
+    showToast('Data exported successfully');
+}
+
+/**
+ * Asks whether calendar events should be timed or all-day
+ */
+function showIcsOptions() {
+    showDialog('Calendar Export', `
+        <p class="modal-message">Each entry becomes one event. Importing a newer export updates the same events instead of adding copies.</p>
+        <label class="reminder-option">
+            <input type="radio" name="ics-style" value="timed" checked> Timed events at the time you logged
+        </label>
+        <label class="reminder-option">
+            <input type="radio" name="ics-style" value="all-day"> All-day events
+        </label>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="exportIcs(document.querySelector('input[name=&quot;ics-style&quot;]:checked').value === 'all-day'); closeModal();">Export</button>
+        </div>
+    `);
+}
+
+function exportIcs(allDay = false) {
+    const sorted = moodEntries.slice().sort((a, b) => a.timestamp - b.timestamp);
+    downloadFile(entriesToIcs(sorted, allDay), `${exportFileBase()}.ics`, 'text/calendar');
+    showToast('Calendar file exported successfully');
+}
+
+const ICS_EVENT_MINUTES = 30;
+
+/**
+ * Escapes text values (RFC 5545 section 3.3.11)
+ */
+function icsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets, never splitting a character
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards the limit
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icsUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsDate(dayKey) {
+    return dayKey.replace(/-/g, '');
+}
+
+/**
+ * Builds an iCalendar file with one event per entry. UIDs come from the
+ * entry id, so calendars update events on re-import.
+ */
+function entriesToIcs(entries, allDay) {
+    const stamp = icsUtc(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//My Daily Mood//Mood Tracker//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(`Mood · ${getActiveProfile().name}`)}`
+    ];
+
+    entries.forEach(entry => {
+        const description = [
+            entry.note,
+            entry.tags.length > 0 ? `Tags: ${entry.tags.join(', ')}` : ''
+        ].filter(Boolean).join('\n\n');
+
+        lines.push('BEGIN:VEVENT', `UID:mood-entry-${entry.id}@mood-tracker`, `DTSTAMP:${stamp}`);
+        if (allDay) {
+            const dayKey = getEntryDayKey(entry);
+            lines.push(`DTSTART;VALUE=DATE:${icsDate(dayKey)}`, `DTEND;VALUE=DATE:${icsDate(shiftDayKey(dayKey, 1))}`);
+        } else {
+            const end = new Date(entry.timestamp.getTime() + ICS_EVENT_MINUTES * 60 * 1000);
+            lines.push(`DTSTART:${icsUtc(entry.timestamp)}`, `DTEND:${icsUtc(end)}`);
+        }
+        lines.push(
+            `SUMMARY:${icsText(`${getMoodEmoji(entry.mood)} ${entry.mood}`)}`,
+            `SEQUENCE:${entry.revisions ? entry.revisions.length : 0}`,
+            'TRANSP:TRANSPARENT'
+        );
+        if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+        if (entry.tags.length > 0) lines.push(`CATEGORIES:${entry.tags.map(icsText).join(',')}`);
+        if (entry.updatedAt) lines.push(`LAST-MODIFIED:${icsUtc(new Date(entry.updatedAt))}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Asks for a passphrase to protect an export file
+ */
+function showEncryptedExport() {
+    showDialog('Encrypted Export', `
+        <p class="modal-message">The file can only be imported with this passphrase.</p>
+        <input type="password" id="privacy-new" class="search-input privacy-input" placeholder="Passphrase" autocomplete="new-password">
+        <input type="password" id="privacy-confirm" class="search-input privacy-input" placeholder="Repeat passphrase" autocomplete="new-password">
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="exportEncrypted()">Export</button>
+        </div>
+    `);
+}
+
+async function exportEncrypted() {
+    const passphrase = readNewPassphrase();
+    if (!passphrase) return;
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+    const payload = {
+        format: ENCRYPTED_EXPORT_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+        ...(await encryptJson(key, moodEntries))
+    };
+    downloadFile(JSON.stringify(payload, null, 2), `${exportFileBase()}.encrypted.json`, 'application/json');
+    closeModal();
+    showToast('Encrypted export saved');
+}
+
+/**
+ * Asks for the passphrase of an encrypted export file
+ */
+function promptDecryptImport(payload, fileName) {
+    pendingEncryptedImport = { payload, fileName };
+    showDialog('Encrypted File', `
+        <p class="modal-message">${escapeHtml(fileName)} is encrypted. Enter its passphrase to import it.</p>
+        <input type="password" id="import-passphrase" class="search-input privacy-input" placeholder="Passphrase">
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="decryptImport()">Decrypt</button>
+            <button class="secondary-button" onclick="cancelImport()">Cancel</button>
+        </div>
+    `);
+}
+
+async function decryptImport() {
+    if (!pendingEncryptedImport) return;
+    const { payload, fileName } = pendingEncryptedImport;
+    const input = document.getElementById('import-passphrase');
+
+    let imported;
+    try {
+        const key = await deriveKey(input ? input.value : '', base64ToBytes(payload.kdf.salt), payload.kdf.iterations);
+        imported = await decryptJson(key, payload);
+    } catch (error) {
+        showDialogError('Wrong passphrase or damaged file.');
+        if (input) input.select();
+        return;
+    }
+
+    pendingEncryptedImport = null;
+    if (!Array.isArray(imported)) {
+        showModal('Import Error', 'Invalid data format.');
+        return;
+    }
+    previewImport(imported.map((data, index) => ({ label: `Entry ${index + 1}`, data })), fileName);
+}
+
+/**
+ * Quotes a CSV field when it contains separators, quotes or line breaks
+ */
+function csvField(value) {
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Converts entries to CSV text
+ */
+function entriesToCsv(entries) {
+    // One column per configured field, headed by its name
+    const lines = [[...CSV_FIELDS, ...settings.metrics.map(metric => metric.label)].map(csvField).join(',')];
+    entries.forEach(entry => {
+        const metrics = entry.metrics || {};
+        lines.push([
+            entry.timestamp.toISOString(),
+            entry.mood,
+            entry.note,
+            entry.tags.join(CSV_TAG_SEPARATOR),
+            entry.timeZone || '',
+            entry.prompt || '',
+            ...settings.metrics.map(metric => metrics[metric.id] === undefined ? '' : formatCsvMetric(metric, metrics[metric.id]))
+        ].map(csvField).join(','));
+    });
+    return lines.join('\r\n');
+}
+
+function exportCsv() {
+    const sorted = moodEntries.slice().sort((a, b) => a.timestamp - b.timestamp);
+    downloadFile(entriesToCsv(sorted), `${exportFileBase()}.csv`, 'text/csv');
+    showToast('CSV exported successfully');
+}
+
+/**
+ * Parses CSV text into rows, each with the line number it starts on
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, cells: row });
+    }
+    return rows.filter(r => r.cells.some(cell => cell.trim() !== ''));
+}
+
+function importData(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        if (/\.csv$/i.test(file.name)) {
+            startCsvImport(e.target.result, file.name);
+            return;
+        }
+
+        let imported;
+        try {
+            imported = JSON.parse(e.target.result);
+        } catch (err) {
+            showModal('Import Error', 'Could not parse JSON.');
+            return;
+        }
+        if (imported && imported.format === ENCRYPTED_EXPORT_FORMAT) {
+            promptDecryptImport(imported, file.name);
+            return;
+        }
+        if (!Array.isArray(imported)) {
+            showModal('Import Error', 'Invalid data format.');
+            return;
+        }
+        previewImport(imported.map((data, index) => ({ label: `Entry ${index + 1}`, data })), file.name);
+    };
+    reader.readAsText(file);
+}
+
+function formatCsvMetric(metric, value) {
+    if (metric.type === 'boolean') return value ? 'yes' : 'no';
+    return String(value);
+}
+
+/**
+ * Guesses which CSV header holds a tracked metric (by name or id)
+ */
+function guessMetricColumn(headers, metric) {
+    const names = [metric.label, metric.id].map(name => name.trim().toLowerCase());
+    return headers.findIndex(header => names.includes(header.trim().toLowerCase()));
+}
+
+/**
+ * One column picker row of the CSV mapping dialog
+ */
+function buildCsvColumnSelect(id, label, headers, guess) {
+    const options = headers.map((header, index) =>
+        `<option value="${index}" ${index === guess ? 'selected' : ''}>${escapeHtml(header)}</option>`
+    ).join('');
+    return `
+        <label class="csv-map-row">
+            <span>${escapeHtml(label)}</span>
+            <select id="csv-col-${id}" class="sort-select">
+                <option value="-1">(none)</option>
+                ${options}
+            </select>
+        </label>
+    `;
+}
+
+/**
+ * Guesses which CSV header holds a tracker field
+ */
+function guessCsvColumn(headers, field) {
+    const aliases = {
+        timestamp: ['timestamp', 'date', 'datetime', 'time', 'created', 'full_date'],
+        mood: ['mood', 'feeling', 'emotion', 'rating'],
+        note: ['note', 'notes', 'journal', 'text', 'comment', 'description'],
+        tags: ['tags', 'tag', 'activities', 'labels', 'categories'],
+        timezone: ['timezone', 'time_zone', 'tz', 'zone'],
+        prompt: ['prompt', 'question']
+    };
+    const normalized = headers.map(h => h.trim().toLowerCase());
+    const exact = normalized.findIndex(h => aliases[field].includes(h));
+    if (exact !== -1) return exact;
+    return normalized.findIndex(h => aliases[field].some(alias => h.includes(alias)));
+}
+
+/**
+ * Step 1 of CSV import: match file columns to tracker fields
+ */
+function startCsvImport(text, fileName) {
+    const rows = parseCsv(text);
+    if (rows.length < 2) {
+        showModal('Import Error', 'The CSV file has no data rows.');
+        return;
+    }
+
+    const headers = rows[0].cells;
+    pendingCsvImport = { fileName, headers, rows: rows.slice(1) };
+
+    const fieldSelects = CSV_FIELDS.map(field =>
+        buildCsvColumnSelect(field, field, headers, guessCsvColumn(headers, field))
+    ).join('');
+    const metricSelects = settings.metrics.map(metric =>
+        buildCsvColumnSelect(`metric-${metric.id}`, metric.label, headers, guessMetricColumn(headers, metric))
+    ).join('');
+
+    showDialog('Map CSV Columns', `
+        <p class="modal-message">${pendingCsvImport.rows.length} rows found in ${escapeHtml(fileName)}.</p>
+        ${fieldSelects}
+        ${metricSelects}
+        <label class="csv-map-row">
+            <span>tag separator</span>
+            <input type="text" id="csv-tag-separator" class="search-input" value="${CSV_TAG_SEPARATOR}" maxlength="3">
+        </label>
+        <div class="entry-actions">
+            <button class="submit-button" onclick="mapCsvMoods()">Next</button>
+            <button class="secondary-button" onclick="cancelCsvImport()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Step 2 of CSV import: match the file's mood labels to the tracker's moods
+ */
+function mapCsvMoods() {
+    if (!pendingCsvImport) return;
+
+    const columns = {};
+    CSV_FIELDS.forEach(field => {
+        const select = document.getElementById(`csv-col-${field}`);
+        columns[field] = select ? Number(select.value) : -1;
+    });
+    if (columns.timestamp === -1 || columns.mood === -1) {
+        showDialogError('Please choose the timestamp and mood columns.');
+        return;
+    }
+    columns.metrics = {};
+    settings.metrics.forEach(metric => {
+        const select = document.getElementById(`csv-col-metric-${metric.id}`);
+        if (select && select.value !== '-1') columns.metrics[metric.id] = Number(select.value);
+    });
+
+    const separatorEl = document.getElementById('csv-tag-separator');
+    pendingCsvImport.columns = columns;
+    pendingCsvImport.tagSeparator = separatorEl && separatorEl.value ? separatorEl.value : CSV_TAG_SEPARATOR;
+
+    const labels = [...new Set(pendingCsvImport.rows.map(row => (row.cells[columns.mood] || '').trim()))]
+        .filter(Boolean);
+    pendingCsvImport.moodLabels = labels;
+
+    const moodSelects = labels.map((label, index) => {
+        const match = findMood(label);
+        const options = getMoodScale().map(mood =>
+            `<option value="${escapeHtml(mood.name)}" ${mood === match ? 'selected' : ''}>${escapeHtml(mood.emoji)} ${escapeHtml(mood.name)}</option>`
+        ).join('');
+        return `
+            <label class="csv-map-row">
+                <span>${escapeHtml(label)}</span>
+                <select id="csv-mood-${index}" class="sort-select">
+                    <option value="" ${match ? '' : 'selected'}>(reject rows)</option>
+                    ${options}
+                </select>
+            </label>
+        `;
+    }).join('');
+
+    showDialog('Map Mood Labels', `
+        ${moodSelects || '<p class="modal-message">No mood values found in the chosen column.</p>'}
+        <div class="entry-actions">
+            <button class="submit-button" onclick="finishCsvImport()">Preview Import</button>
+            <button class="secondary-button" onclick="cancelCsvImport()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Converts the mapped CSV rows and hands them to the shared import preview
+ */
+function finishCsvImport() {
+    if (!pendingCsvImport) return;
+
+    const { columns, tagSeparator, moodLabels, rows, fileName } = pendingCsvImport;
+    const moodMapping = {};
+    moodLabels.forEach((label, index) => {
+        const select = document.getElementById(`csv-mood-${index}`);
+        moodMapping[label] = select ? select.value : '';
+    });
+
+    const cell = (row, field) => columns[field] === -1 ? '' : (row.cells[columns[field]] || '').trim();
+    const importRows = rows.map(row => {
+        const rawMood = cell(row, 'mood');
+        const tagText = cell(row, 'tags');
+        const metrics = {};
+        Object.entries(columns.metrics).forEach(([id, index]) => {
+            const value = (row.cells[index] || '').trim();
+            if (value) metrics[id] = value;
+        });
+        return {
+            label: `Line ${row.line}`,
+            data: {
+                timestamp: cell(row, 'timestamp'),
+                mood: rawMood ? (moodMapping[rawMood] || `${rawMood} (unmapped)`) : undefined,
+                note: cell(row, 'note'),
+                tags: tagText ? tagText.split(tagSeparator) : [],
+                timeZone: cell(row, 'timezone') || undefined,
+                prompt: cell(row, 'prompt') || undefined,
+                metrics
+            }
+        };
+    });
+
+    pendingCsvImport = null;
+    previewImport(importRows, fileName);
+}
+
+/**
+ * Discards the pending CSV import
+ */
+function cancelCsvImport() {
+    pendingCsvImport = null;
+    closeModal();
+}
+
+// ===== IMPORT VALIDATION & MERGE =====
+let pendingImport = null;
+
+/**
+ * Validates one imported record; returns { entry } or { errors }.
+ * With keepUnknownMood, a mood missing from this device's scale is kept as named.
+ */
+function validateImportedEntry(data, options = {}) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { errors: ['not an object'] };
+    }
+
+    const found = findMood(data.mood);
+    const unknownMood = options.keepUnknownMood && typeof data.mood === 'string' && data.mood.trim();
+    const mood = found ? found.name : (unknownMood ? data.mood.trim() : null);
+    if (!mood) {
+        errors.push(data.mood === undefined ? 'missing mood' : `unknown mood "${data.mood}"`);
+    }
+
+    const timestamp = new Date(data.timestamp);
+    if (data.timestamp === undefined || data.timestamp === null || data.timestamp === '' || isNaN(timestamp.getTime())) {
+        errors.push(data.timestamp === undefined ? 'missing timestamp' : `invalid date "${data.timestamp}"`);
+    }
+
+    if (data.note !== undefined && data.note !== null && typeof data.note !== 'string') {
+        errors.push('note must be text');
+    } else if (typeof data.note === 'string' && data.note.length > 500) {
+        errors.push('note is longer than 500 characters');
+    }
+
+    if (data.tags !== undefined && data.tags !== null &&
+        (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+        errors.push('tags must be a list of text');
+    }
+
+    if (data.prompt !== undefined && data.prompt !== null && typeof data.prompt !== 'string') {
+        errors.push('prompt must be text');
+    }
+
+    let metrics = null;
+    if (data.metrics !== undefined && data.metrics !== null) {
+        const result = validateImportedMetrics(data.metrics);
+        errors.push(...result.errors);
+        metrics = result.metrics;
+    }
+
+    if (data.timeZone !== undefined && data.timeZone !== null &&
+        (typeof data.timeZone !== 'string' || !isValidTimeZone(data.timeZone))) {
+        errors.push(`unknown time zone "${data.timeZone}"`);
+    }
+
+    let id = data.id;
+    if (typeof id === 'string' && /^\d+$/.test(id.trim())) {
+        id = Number(id);
+    }
+    if (id !== undefined && id !== null && id !== '' && !(Number.isInteger(id) && id > 0)) {
+        errors.push(`invalid id "${data.id}"`);
+    }
+
+    if (errors.length > 0) return { errors };
+
+    // Revisions are history, so moods since removed from the scale are kept
+    const revisions = Array.isArray(data.revisions)
+        ? data.revisions.filter(rev => rev && !isNaN(new Date(rev.editedAt).getTime()) &&
+            validateImportedEntry({ ...rev, id: undefined }, { ...options, keepUnknownMood: true }).entry)
+        : [];
+
+    return {
+        entry: hydrateEntry({
+            id: Number.isInteger(id) ? id : null,
+            mood,
+            note: (data.note || '').trim(),
+            tags: normalizeTags(data.tags || []),
+            ...(metrics ? { metrics } : {}),
+            ...(data.prompt && data.prompt.trim() ? { prompt: data.prompt.trim().slice(0, MAX_PROMPT_LENGTH) } : {}),
+            timestamp,
+            ...(data.timeZone ? { timeZone: data.timeZone } : {}),
+            revisions
+        })
+    };
+}
+
+/**
+ * Key identifying an entry by its content and timestamp
+ */
+function entryContentKey(entry) {
+    return [
+        entry.timestamp.getTime(),
+        entry.mood,
+        entry.note,
+        entry.tags.slice().sort().join(',')
+    ].join('|');
+}
+
+/**
+ * Validates rows and sorts them into new, duplicate, conflicting and rejected
+ */
+function classifyImport(rows) {
+    const result = { fresh: [], duplicates: [], conflicts: [], rejected: [] };
+    const existingById = new Map(moodEntries.map(entry => [entry.id, entry]));
+    const seenContent = new Set(moodEntries.map(entryContentKey));
+    const seenIds = new Set();
+
+    rows.forEach(({ label, data }) => {
+        const { entry, errors } = validateImportedEntry(data);
+        if (errors) {
+            result.rejected.push({ label, errors });
+            return;
+        }
+
+        const contentKey = entryContentKey(entry);
+        const existing = entry.id !== null ? existingById.get(entry.id) : null;
+
+        if (seenContent.has(contentKey) || (entry.id !== null && seenIds.has(entry.id))) {
+            result.duplicates.push(entry);
+        } else if (existing) {
+            result.conflicts.push({ entry, existing });
+        } else {
+            result.fresh.push(entry);
+        }
+
+        seenContent.add(contentKey);
+        if (entry.id !== null) seenIds.add(entry.id);
+    });
+
+    return result;
+}
+
+/**
+ * Shows the merge preview for parsed import rows
+ */
+function previewImport(rows, sourceName) {
+    pendingImport = classifyImport(rows);
+    const { fresh, duplicates, conflicts, rejected } = pendingImport;
+
+    const rejectedHTML = rejected.length > 0
+        ? `<div class="import-rejected">
+            <h4>Rejected rows</h4>
+            <ul>${rejected.map(row =>
+                `<li><strong>${escapeHtml(row.label)}:</strong> ${escapeHtml(row.errors.join(', '))}</li>`
+            ).join('')}</ul>
+           </div>`
+        : '';
+
+    const conflictHTML = conflicts.length > 0
+        ? `<div class="import-conflict-options">
+            <h4>When an entry with the same ID differs</h4>
+            <label><input type="radio" name="import-conflict" value="skip" checked> Skip (keep mine)</label>
+            <label><input type="radio" name="import-conflict" value="overwrite"> Overwrite with imported</label>
+            <label><input type="radio" name="import-conflict" value="keep-both"> Keep both</label>
+           </div>`
+        : '';
+
+    showDialog(`Import from ${sourceName || 'file'}`, `
+        <div class="import-summary">
+            <div class="import-count"><span>${fresh.length}</span>New</div>
+            <div class="import-count"><span>${duplicates.length}</span>Duplicates</div>
+            <div class="import-count"><span>${conflicts.length}</span>Conflicts</div>
+            <div class="import-count"><span>${rejected.length}</span>Rejected</div>
+        </div>
+        ${conflictHTML}
+        ${rejectedHTML}
+        <div class="entry-actions">
+            <button class="submit-button" onclick="commitImport()" ${fresh.length + conflicts.length === 0 ? 'disabled' : ''}>Import</button>
+            <button class="secondary-button" onclick="cancelImport()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Applies the pending import using the chosen conflict strategy
+ */
+function commitImport() {
+    if (!pendingImport) return;
+
+    const strategyEl = document.querySelector('input[name="import-conflict"]:checked');
+    const strategy = strategyEl ? strategyEl.value : 'skip';
+    const { fresh, conflicts } = pendingImport;
+    const before = captureEntries();
+    let added = 0;
+    let updated = 0;
+
+    fresh.forEach(entry => {
+        if (entry.id === null) entry.id = generateId();
+        moodEntries.push(entry);
+        added++;
+    });
+
+    conflicts.forEach(({ entry, existing }) => {
+        if (strategy === 'overwrite') {
+            if (overwriteWithImport(existing, entry)) updated++;
+        } else if (strategy === 'keep-both') {
+            moodEntries.push({ ...entry, id: generateId() });
+            added++;
+        }
+    });
+
+    pendingImport = null;
+    closeModal();
+    saveData();
+    pushUndo('Import', before);
+    renderAll();
+    showUndoToast(`Imported ${added} new, updated ${updated} entries`);
+}
+
+/**
+ * Replaces an entry with its imported version; the local version stays in its history
+ */
+function overwriteWithImport(existing, entry) {
+    const changed = applyEntryChanges(existing, entry);
+    const extrasChanged = existing.prompt !== entry.prompt ||
+        (entry.timeZone !== undefined && existing.timeZone !== entry.timeZone);
+
+    if (entry.prompt === undefined) {
+        delete existing.prompt;
+    } else {
+        existing.prompt = entry.prompt;
+    }
+    // Older exports have no time zone; keep the one the entry already has
+    if (entry.timeZone !== undefined) existing.timeZone = entry.timeZone;
+
+    const known = new Set((existing.revisions || []).map(rev => rev.editedAt.getTime()));
+    const newRevisions = entry.revisions.filter(rev => !known.has(rev.editedAt.getTime()));
+    if (newRevisions.length > 0) {
+        existing.revisions = [...(existing.revisions || []), ...newRevisions]
+            .sort((a, b) => b.editedAt - a.editedAt);
+    }
+    return changed || extrasChanged || newRevisions.length > 0;
+}
+
+/**
+ * Discards the pending import
+ */
+function cancelImport() {
+    pendingImport = null;
+    pendingEncryptedImport = null;
+    closeModal();
+}
+
+// ===== MOOD SCALE EDITOR =====
+const NUMERIC_MOOD_SCALE = [
+    { name: '10', emoji: '🔟', color: '#059669' },
+    { name: '9', emoji: '9️⃣', color: '#10b981' },
+    { name: '8', emoji: '8️⃣', color: '#34d399' },
+    { name: '7', emoji: '7️⃣', color: '#3b82f6' },
+    { name: '6', emoji: '6️⃣', color: '#60a5fa' },
+    { name: '5', emoji: '5️⃣', color: '#f59e0b' },
+    { name: '4', emoji: '4️⃣', color: '#f97316' },
+    { name: '3', emoji: '3️⃣', color: '#ef4444' },
+    { name: '2', emoji: '2️⃣', color: '#dc2626' },
+    { name: '1', emoji: '1️⃣', color: '#991b1b' }
+];
+
+/**
+ * Renders the mood radio buttons of the logging form
+ */
+function renderMoodOptions() {
+    const container = document.getElementById('mood-options');
+    if (!container) return;
+
+    const checked = document.querySelector('input[name="mood"]:checked');
+    const checkedValue = checked ? checked.value : null;
+
+    container.innerHTML = getMoodScale().map((mood, index) => `
+        <div class="mood-option">
+            <input type="radio" id="mood-option-${index}" name="mood" value="${escapeHtml(mood.name)}"
+                ${index === 0 ? 'required' : ''} ${mood.name === checkedValue ? 'checked' : ''}>
+            <label for="mood-option-${index}" class="mood-label" style="--mood-color: ${mood.color}"
+                title="Shortcut: ${getMoodScore(mood.name)}">
+                ${escapeHtml(mood.emoji)} ${escapeHtml(mood.name)}
+            </label>
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders the mood filter buttons above history
+ */
+function renderFilterButtons() {
+    const container = document.getElementById('filter-buttons');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const buttons = [{ name: 'All', label: 'All' }].concat(getMoodScale().map(mood => ({
+        name: mood.name,
+        label: `${mood.emoji} ${mood.name}`
+    })));
+
+    buttons.forEach(({ name, label }) => {
+        const btn = document.createElement('button');
+        btn.className = 'filter-btn';
+        btn.dataset.mood = name;
+        btn.textContent = label;
+        btn.classList.toggle('active', name === currentFilter);
+        btn.addEventListener('click', () => filterMoods(name));
+        container.appendChild(btn);
+    });
+}
+
+/**
+ * Re-renders every control generated from the mood scale
+ */
+function renderMoodScaleControls() {
+    renderMoodOptions();
+    renderFilterButtons();
+}
+
+/**
+ * Opens the mood scale editor with a working copy of the scale
+ */
+function openMoodScaleEditor() {
+    moodScaleDraft = getMoodScale().map(mood => ({ ...mood, originalName: mood.name }));
+    renderMoodScaleEditor();
+}
+
+/**
+ * Renders the mood scale editor dialog from the draft
+ */
+function renderMoodScaleEditor() {
+    const rows = moodScaleDraft.map((mood, index) => `
+        <div class="scale-row">
+            <input type="text" id="scale-emoji-${index}" class="search-input scale-emoji" value="${escapeHtml(mood.emoji)}" maxlength="8" title="Emoji">
+            <input type="text" id="scale-name-${index}" class="search-input" value="${escapeHtml(mood.name)}" maxlength="20" title="Name">
+            <input type="color" id="scale-color-${index}" class="scale-color" value="${mood.color}" title="Color">
+            <button class="edit-button" onclick="moveMoodInDraft(${index}, -1)" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+            <button class="edit-button" onclick="moveMoodInDraft(${index}, 1)" ${index === moodScaleDraft.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+            <button class="delete-button" onclick="removeMoodFromDraft(${index})" title="Remove">×</button>
+        </div>
+    `).join('');
+
+    showDialog('Customize Moods', `
+        <p class="modal-message">Best mood first. Scores follow this order, so analytics update when you reorder.</p>
+        <div class="scale-rows">${rows}</div>
+        <div class="entry-actions">
+            <button class="edit-button" onclick="addMoodToDraft()">+ Add mood</button>
+            <button class="edit-button" onclick="applyMoodScalePreset('default')">Default moods</button>
+            <button class="edit-button" onclick="applyMoodScalePreset('numeric')">1–10 scale</button>
+        </div>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="saveMoodScaleDraft()">Save</button>
+            <button class="secondary-button" onclick="closeModal()">Cancel</button>
+        </div>
+    `);
+}
+
+/**
+ * Copies the editor inputs back into the draft
+ */
+function readMoodScaleDraft() {
+    moodScaleDraft.forEach((mood, index) => {
+        const nameEl = document.getElementById(`scale-name-${index}`);
+        const emojiEl = document.getElementById(`scale-emoji-${index}`);
+        const colorEl = document.getElementById(`scale-color-${index}`);
+        if (nameEl) mood.name = nameEl.value.trim();
+        if (emojiEl) mood.emoji = emojiEl.value.trim();
+        if (colorEl) mood.color = colorEl.value;
+    });
+}
+
+function moveMoodInDraft(index, direction) {
+    readMoodScaleDraft();
+    const target = index + direction;
+    if (target < 0 || target >= moodScaleDraft.length) return;
+    [moodScaleDraft[index], moodScaleDraft[target]] = [moodScaleDraft[target], moodScaleDraft[index]];
+    renderMoodScaleEditor();
+}
+
+function removeMoodFromDraft(index) {
+    readMoodScaleDraft();
+    moodScaleDraft.splice(index, 1);
+    renderMoodScaleEditor();
+}
+
+function addMoodToDraft() {
+    readMoodScaleDraft();
+    moodScaleDraft.push({ name: '', emoji: '🙂', color: '#6366f1', originalName: null });
+    renderMoodScaleEditor();
+}
+
+/**
+ * Replaces the draft with a built-in scale; existing moods with the same name are kept
+ */
+function applyMoodScalePreset(preset) {
+    const source = preset === 'numeric' ? NUMERIC_MOOD_SCALE : DEFAULT_MOOD_SCALE;
+    const currentNames = getMoodNames();
+    moodScaleDraft = source.map(mood => ({
+        ...mood,
+        originalName: currentNames.includes(mood.name) ? mood.name : null
+    }));
+    renderMoodScaleEditor();
+}
+
+/**
+ * Validates the draft and either applies it or asks how to map removed moods
+ */
+function saveMoodScaleDraft() {
+    readMoodScaleDraft();
+
+    const names = moodScaleDraft.map(mood => mood.name.toLowerCase());
+    if (moodScaleDraft.length < 2) {
+        showDialogError('Please keep at least two moods.');
+        return;
+    }
+    if (names.some(name => !name)) {
+        showDialogError('Every mood needs a name.');
+        return;
+    }
+    if (new Set(names).size !== names.length || names.includes('all')) {
+        showDialogError('Mood names must be unique and cannot be "All".');
+        return;
+    }
+
+    const oldScale = getMoodScale();
+    const newScale = moodScaleDraft.map(({ name, emoji, color }) => ({ name, emoji: emoji || '•', color }));
+    const mapping = {};
+    moodScaleDraft.forEach(mood => {
+        if (mood.originalName) mapping[mood.originalName] = mood.name;
+    });
+
+    const usage = countMoodUsage();
+    const removed = oldScale
+        .filter(mood => !(mood.name in mapping))
+        .map(mood => mood.name)
+        .concat(Object.keys(usage).filter(name => !findMood(name, oldScale)))
+        .filter(name => usage[name]);
+
+    if (removed.length === 0) {
+        applyMoodScaleChange(newScale, mapping);
+        return;
+    }
+
+    pendingMoodScale = { newScale, mapping, removed };
+    showMoodMappingStep(oldScale);
+}
+
+/**
+ * Counts how often each mood name is used by entries and their revisions
+ */
+function countMoodUsage() {
+    const usage = {};
+    moodEntries.forEach(entry => {
+        usage[entry.mood] = (usage[entry.mood] || 0) + 1;
+        (entry.revisions || []).forEach(rev => {
+            usage[rev.mood] = (usage[rev.mood] || 0) + 1;
+        });
+    });
+    return usage;
+}
+
+/**
+ * Asks where entries of removed moods should go, defaulting to the nearest score
+ */
+function showMoodMappingStep(oldScale) {
+    const { newScale, removed } = pendingMoodScale;
+    const usage = countMoodUsage();
+    const oldMax = getMaxMoodScore(oldScale);
+    const newMax = getMaxMoodScore(newScale);
+
+    const rows = removed.map((name, index) => {
+        const oldScore = getMoodScore(name, oldScale);
+        const scaledScore = 1 + (oldScore - 1) * (newMax - 1) / Math.max(1, oldMax - 1);
+        const suggestion = getMoodForScore(scaledScore, newScale);
+        const options = newScale.map(mood =>
+            `<option value="${escapeHtml(mood.name)}" ${mood.name === suggestion ? 'selected' : ''}>${escapeHtml(mood.emoji)} ${escapeHtml(mood.name)}</option>`
+        ).join('');
+        return `
+            <label class="csv-map-row">
+                <span>${escapeHtml(getMoodEmoji(name))} ${escapeHtml(name)} (${usage[name]})</span>
+                <select id="scale-map-${index}" class="sort-select">${options}</select>
+            </label>
+        `;
+    }).join('');
+
+    showDialog('Map Removed Moods', `
+        <p class="modal-message">These moods are no longer on your scale. Choose what existing entries should become.</p>
+        ${rows}
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="confirmMoodMapping()">Apply</button>
+            <button class="secondary-button" onclick="renderMoodScaleEditor()">Back</button>
+        </div>
+    `);
+}
+
+function confirmMoodMapping() {
+    if (!pendingMoodScale) return;
+    const { newScale, mapping, removed } = pendingMoodScale;
+    removed.forEach((name, index) => {
+        const select = document.getElementById(`scale-map-${index}`);
+        if (select) mapping[name] = select.value;
+    });
+    pendingMoodScale = null;
+    applyMoodScaleChange(newScale, mapping);
+}
+
+/**
+ * Stores a new mood scale and rewrites renamed or removed moods in entries
+ */
+function applyMoodScaleChange(newScale, mapping) {
+    const remap = mood => (mood in mapping ? mapping[mood] : mood);
+    moodEntries.forEach(entry => {
+        entry.mood = remap(entry.mood);
+        (entry.revisions || []).forEach(rev => {
+            rev.mood = remap(rev.mood);
+        });
+    });
+
+    settings.moodScale = newScale;
+    saveSettings();
+    saveData();
+
+    if (currentFilter !== 'All') {
+        currentFilter = currentFilter in mapping ? mapping[currentFilter] : currentFilter;
+        if (!findMood(currentFilter)) currentFilter = 'All';
+    }
+
+    moodScaleDraft = null;
+    closeModal();
+    renderMoodScaleControls();
+    renderAll();
+    showToast('Mood scale updated');
+}
+
+// ===== PRINTABLE REPORT =====
+const PRIVATE_TAG = 'private';
+const REPORT_TOP_TAGS = 8;
+
+/**
+ * Opens the report options dialog
+ */
+function openReportOptions() {
+    const today = getDayKey(new Date());
+    showDialog('🖨️ Printable Report', `
+        <label class="csv-map-row">
+            <span>Period</span>
+            <select id="report-range" class="sort-select" onchange="document.getElementById('report-custom').classList.toggle('hidden', this.value !== 'custom')">
+                <option value="week">This week</option>
+                <option value="month" selected>This month</option>
+                <option value="last-month">Last month</option>
+                <option value="30">Last 30 days</option>
+                <option value="custom">Custom range</option>
+            </select>
+        </label>
+        <div id="report-custom" class="csv-map-row hidden">
+            <input type="date" id="report-start" class="search-input" value="${today}">
+            <input type="date" id="report-end" class="search-input" value="${today}">
+        </div>
+        <label class="reminder-option">
+            <input type="checkbox" id="report-exclude-private" checked> Leave out notes of entries tagged "${PRIVATE_TAG}"
+        </label>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="generateReport()">Create report</button>
+        </div>
+    `);
+}
+
+/**
+ * Turns a range choice into start and end dates (inclusive days)
+ */
+function getReportRange(choice, startValue, endValue) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    let start = new Date(today);
+    let end = new Date(today);
+
+    if (choice === 'week') {
+        // Sunday-based, like the calendar and week view
+        start.setDate(today.getDate() - today.getDay());
+    } else if (choice === 'month') {
+        start = new Date(today.getFullYear(), today.getMonth(), 1);
+    } else if (choice === 'last-month') {
+        start = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+        end = new Date(today.getFullYear(), today.getMonth(), 0);
+    } else if (choice === 'custom') {
+        start = startValue ? parseDayKey(startValue) : start;
+        end = endValue ? parseDayKey(endValue) : end;
+    } else {
+        start.setDate(today.getDate() - (Number(choice) - 1));
+    }
+
+    end.setHours(23, 59, 59, 999);
+    return { start, end };
+}
+
+/**
+ * Builds the report for the chosen range and shows the print preview
+ */
+function generateReport() {
+    const choice = document.getElementById('report-range').value;
+    const { start, end } = getReportRange(
+        choice,
+        document.getElementById('report-start').value,
+        document.getElementById('report-end').value
+    );
+    if (start > end) {
+        showModal('Report', 'The start date must be before the end date.');
+        return;
+    }
+
+    const excludePrivate = document.getElementById('report-exclude-private').checked;
+    const entries = moodEntries
+        .filter(entry => entry.timestamp >= start && entry.timestamp <= end)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    const content = document.getElementById('report-content');
+    content.innerHTML = buildReportHtml(entries, start, end, excludePrivate);
+    closeModal();
+    document.getElementById('report-view').classList.remove('hidden');
+    document.body.classList.add('report-open');
+}
+
+function closeReport() {
+    document.getElementById('report-view').classList.add('hidden');
+    document.body.classList.remove('report-open');
+}
+
+/**
+ * Assembles the report sections
+ */
+function buildReportHtml(entries, start, end, excludePrivate) {
+    const dateFormat = { month: 'long', day: 'numeric', year: 'numeric' };
+    const title = `${start.toLocaleDateString('en-US', dateFormat)} – ${end.toLocaleDateString('en-US', dateFormat)}`;
+    const stats = computeStats(entries, end);
+    const average = getAverageMood(entries);
+
+    const statCards = [
+        ['📝', entries.length, 'Entries'],
+        ['📆', groupEntriesByDay(entries).size, 'Days logged'],
+        ['🔥', stats.streak, 'Streak at end'],
+        ['⭐', stats.mostCommon ? `${getMoodEmoji(stats.mostCommon)} ${escapeHtml(stats.mostCommon)}` : '-', 'Most common'],
+        ['⚖️', average ? `${getMoodEmoji(average)} ${escapeHtml(average)}` : '-', 'Average mood']
+    ].map(([icon, value, label]) => `
+        <div class="report-stat">
+            <div class="report-stat-value">${icon} ${value}</div>
+            <div class="report-stat-label">${label}</div>
+        </div>
+    `).join('');
+
+    return `
+        <header class="report-header">
+            <h1>Mood Report</h1>
+            <p>${escapeHtml(getActiveProfile().name)} · ${title}</p>
+        </header>
+        <section class="report-section report-stats">${statCards}</section>
+        ${entries.length === 0 ? '<p class="report-empty">No entries in this period.</p>' : `
+            <section class="report-section">
+                <h2>Mood Calendar</h2>
+                ${buildReportCalendarStrip(entries, start, end)}
+            </section>
+            <div class="report-columns">
+                <section class="report-section">
+                    <h2>Mood Distribution</h2>
+                    <div class="mood-distribution-container">${buildMoodDistributionHtml(entries)}</div>
+                </section>
+                <section class="report-section">
+                    <h2>Top Tags</h2>
+                    ${buildReportTopTags(entries)}
+                </section>
+            </div>
+            <section class="report-section">
+                <h2>Journal Notes</h2>
+                ${buildReportNotes(entries, excludePrivate)}
+            </section>
+        `}
+        <footer class="report-footer">Created ${formatTimestamp(new Date())} with My Daily Mood</footer>
+    `;
+}
+
+/**
+ * One colored cell per day of the range, using the day's average mood
+ */
+function buildReportCalendarStrip(entries, start, end) {
+    const byDay = groupEntriesByDay(entries);
+    const cells = [];
+    for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+        const dayEntries = byDay.get(getDayKey(day)) || [];
+        const mood = getAverageMood(dayEntries);
+        cells.push(`
+            <div class="report-day ${mood ? '' : 'empty'}" style="${mood ? `--mood-color: ${getMoodColor(mood)}` : ''}"
+                title="${getDayKey(day)}">
+                <span class="report-day-date">${day.getDate()}</span>
+                <span>${mood ? getMoodEmoji(mood) : ''}</span>
+            </div>
+        `);
+    }
+    return `<div class="report-calendar">${cells.join('')}</div>`;
+}
+
+function buildReportTopTags(entries) {
+    const counts = new Map();
+    entries.forEach(entry => entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    const top = [...counts.entries()]
+        .filter(([tag]) => tag !== PRIVATE_TAG)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, REPORT_TOP_TAGS);
+    if (top.length === 0) return '<p class="report-empty">No tags used.</p>';
+
+    return `<ul class="report-tags">${top.map(([tag, count]) => {
+        const mood = getAverageMood(entries.filter(entry => entry.tags.includes(tag)));
+        return `<li><span class="entry-tag">${escapeHtml(tag)}</span> ${count}× · avg ${getMoodEmoji(mood)} ${escapeHtml(mood)}</li>`;
+    }).join('')}</ul>`;
+}
+
+function buildReportNotes(entries, excludePrivate) {
+    const rows = entries.map(entry => {
+        const isPrivate = entry.tags.includes(PRIVATE_TAG);
+        const note = excludePrivate && isPrivate
+            ? '<em>Private note left out</em>'
+            : entry.note ? escapeHtml(entry.note) : '<em>No note</em>';
+        const tags = entry.tags.filter(tag => tag !== PRIVATE_TAG);
+        return `
+            <li class="report-note">
+                <div class="report-note-meta">
+                    <strong>${formatTimestamp(entry.timestamp)}</strong> · ${getMoodEmoji(entry.mood)} ${escapeHtml(entry.mood)}
+                    ${tags.length > 0 ? ` · ${tags.map(escapeHtml).join(', ')}` : ''}
+                </div>
+                ${entry.prompt && !(excludePrivate && isPrivate) ? `<p class="report-note-prompt">${escapeHtml(entry.prompt)}</p>` : ''}
+                <p>${note}</p>
+            </li>
+        `;
+    });
+    return `<ol class="report-notes">${rows.join('')}</ol>`;
+}
+
+// ===== KEYBOARD SHORTCUTS & COMMAND PALETTE =====
+const SHORTCUTS = [
+    { keys: '1 – 9', description: 'Pick a mood (1 is the lowest)' },
+    { keys: 'Ctrl + Enter', description: 'Log the mood, or save the entry being edited' },
+    { keys: '/', description: 'Search entries' },
+    { keys: 'j / k', description: 'Next / previous journal entry' },
+    { keys: 'e', description: 'Edit the selected entry' },
+    { keys: 'Del', description: 'Delete the selected entry' },
+    { keys: 'Ctrl + K', description: 'Command palette' },
+    { keys: 'Ctrl + Z / Ctrl + Shift + Z', description: 'Undo / redo' },
+    { keys: '?', description: 'Show this list' },
+    { keys: 'Esc', description: 'Close a dialog or the palette' }
+];
+
+let keyboardEntryId = null;
+let paletteCommands = [];
+let paletteIndex = 0;
+
+// Input types that take typed text; radios, checkboxes and buttons keep the shortcuts working
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number',
+    'date', 'datetime-local', 'time', 'month', 'week', 'color'];
+
+function isTypingTarget(target) {
+    if (!target) return false;
+    if (target.tagName === 'INPUT') return TEXT_INPUT_TYPES.includes((target.type || 'text').toLowerCase());
+    return ['TEXTAREA', 'SELECT'].includes(target.tagName) || !!target.isContentEditable;
+}
+
+function isModalOpen() {
+    const modal = document.getElementById('app-modal');
+    return !!modal && !modal.classList.contains('hidden-modal');
+}
+
+function isPaletteOpen() {
+    const palette = document.getElementById('command-palette');
+    return !!palette && !palette.classList.contains('hidden');
+}
+
+/**
+ * Selects the mood whose score matches a number key
+ */
+function pickMoodByScore(score) {
+    const mood = getMoodScale().find(m => getMoodScore(m.name) === score);
+    const radio = mood && [...document.querySelectorAll('input[name="mood"]')].find(input => input.value === mood.name);
+    if (!radio) return;
+
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change', { bubbles: true }));
+    radio.focus();
+}
+
+/**
+ * Moves the keyboard selection through the visible history cards
+ */
+function moveHistorySelection(step) {
+    const items = [...document.querySelectorAll('#mood-history-list .mood-history-item')];
+    if (items.length === 0) return;
+
+    const current = items.findIndex(item => Number(item.dataset.id) === keyboardEntryId);
+    const next = current === -1 ? (step > 0 ? 0 : items.length - 1) : Math.min(items.length - 1, Math.max(0, current + step));
+    keyboardEntryId = Number(items[next].dataset.id);
+    items.forEach((item, index) => item.classList.toggle('keyboard-selected', index === next));
+    if (items[next].scrollIntoView) items[next].scrollIntoView({ block: 'nearest' });
+}
+
+function editSelectedEntry() {
+    if (!keyboardEntryId || !findEntry(keyboardEntryId)) return;
+    startEditEntry(keyboardEntryId);
+    const note = document.getElementById(`edit-note-${keyboardEntryId}`);
+    if (note) note.focus();
+}
+
+/**
+ * Deletes the selected entry and selects the one after it
+ */
+function deleteSelectedEntry() {
+    if (!keyboardEntryId || !findEntry(keyboardEntryId)) return;
+    const items = [...document.querySelectorAll('#mood-history-list .mood-history-item')];
+    const index = items.findIndex(item => Number(item.dataset.id) === keyboardEntryId);
+    const neighbour = items[index + 1] || items[index - 1];
+
+    const id = keyboardEntryId;
+    keyboardEntryId = neighbour ? Number(neighbour.dataset.id) : null;
+    deleteEntry(id);
+}
+
+/**
+ * Ctrl+Enter: saves the history card being edited, otherwise logs the mood form
+ */
+function submitFromKeyboard(target) {
+    const editingItem = target && target.closest ? target.closest('.mood-history-item.editing') : null;
+    if (editingItem) {
+        saveEntryEdit(Number(editingItem.dataset.id));
+        return;
+    }
+    const form = document.getElementById('mood-form');
+    if (form) form.requestSubmit();
+}
+
+function showShortcutsHelp() {
+    const rows = SHORTCUTS.map(shortcut => `
+        <div class="shortcut-row">
+            <kbd>${escapeHtml(shortcut.keys)}</kbd>
+            <span>${escapeHtml(shortcut.description)}</span>
+        </div>
+    `).join('');
+    showDialog('⌨️ Keyboard Shortcuts', `<div class="shortcut-list">${rows}</div>`);
+}
+
+/**
+ * Global shortcuts; undo/redo stay with handleUndoShortcut
+ */
+function handleKeyboardShortcut(e) {
+    if (e.defaultPrevented) return;
+    const lockScreen = document.getElementById('lock-screen');
+    if (lockScreen && !lockScreen.classList.contains('hidden')) return;
+
+    const modifier = e.ctrlKey || e.metaKey;
+    if (modifier && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (isPaletteOpen()) closeCommandPalette();
+        else openCommandPalette();
+        return;
+    }
+    if (modifier && e.key === 'Enter' && !isModalOpen() && !isPaletteOpen()) {
+        e.preventDefault();
+        submitFromKeyboard(e.target);
+        return;
+    }
+    if (e.key === 'Escape') {
+        if (isPaletteOpen()) closeCommandPalette();
+        else if (isModalOpen()) closeModal();
+        else if (editingEntryId !== null && (!isTypingTarget(e.target) || e.target.closest('.editing'))) cancelEditEntry();
+        return;
     }
 
-    // This week's entries
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    const thisWeekEntries = moodEntries.filter(entry => entry.timestamp >= weekAgo);
-    if (weekEl) weekEl.textContent = thisWeekEntries.length;
+    if (modifier || e.altKey || isTypingTarget(e.target) || isModalOpen() || isPaletteOpen()) return;
+
+    if (/^[1-9]$/.test(e.key)) {
+        pickMoodByScore(Number(e.key));
+    } else if (e.key === '/') {
+        const searchInput = document.getElementById('search-input');
+        if (!searchInput) return;
+        searchInput.focus();
+        searchInput.select();
+    } else if (e.key === 'j' || e.key === 'k') {
+        moveHistorySelection(e.key === 'j' ? 1 : -1);
+    } else if (e.key === 'e') {
+        editSelectedEntry();
+    } else if (e.key === 'Delete') {
+        deleteSelectedEntry();
+    } else if (e.key === '?') {
+        showShortcutsHelp();
+    } else {
+        return;
+    }
+    e.preventDefault();
 }
 
 /**
- * Updates mood distribution chart
+ * Filters history to a day and shows it in the calendar
  */
-function updateMoodDistribution() {
-    const moods = ['amazing', 'good', 'neutral', 'stressed', 'terrible'];
-    const moodNames = {
-        'amazing': 'Amazing',
-        'good': 'Good',
-        'neutral': 'Neutral',
-        'stressed': 'Stressed',
-        'terrible': 'Terrible'
-    };
-    
-    const total = moodEntries.length || 1;
-    
-    moods.forEach(mood => {
-        const count = moodEntries.filter(entry => 
-            entry.mood === moodNames[mood]
-        ).length;
-        
-        const percentage = (count / total) * 100;
-        
-        const barEl = document.getElementById(`dist-${mood}`);
-        const countEl = document.getElementById(`count-${mood}`);
-        
-        if (barEl) {
-            barEl.style.width = `${percentage}%`;
-        }
-        if (countEl) {
-            countEl.textContent = count;
-        }
-    });
+function jumpToDate(key) {
+    calendarCursor = parseDayKey(key);
+    selectedDay = null;
+    selectCalendarDay(key);
 }
 
 /**
- * Renders calendar view
+ * Reads "YYYY-MM-DD", "today" or "yesterday" from palette text
  */
-function renderCalendar() {
-    const container = document.getElementById('calendar-view');
-    if (!container) return;
-    
-    container.innerHTML = '';
-    
-    const days = currentView === 'week' ? 7 : 30;
-    const today = new Date();
-    
-    for (let i = days - 1; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        date.setHours(0, 0, 0, 0);
-        
-        const dayEntries = moodEntries.filter(entry => {
-            const entryDate = new Date(entry.timestamp);
-            entryDate.setHours(0, 0, 0, 0);
-            return entryDate.getTime() === date.getTime();
-        });
-        
-        const dayEl = document.createElement('div');
-        dayEl.className = 'calendar-day';
-        
-        if (dayEntries.length > 0) {
-            dayEl.classList.add('has-entry');
-            const avgMood = dayEntries[0].mood;
-            const emoji = getMoodEmoji(avgMood);
-            dayEl.innerHTML = `
-                <div class="calendar-day-label">${date.toLocaleDateString('en-US', { weekday: 'short' })}</div>
-                <div class="calendar-day-number">${date.getDate()}</div>
-                <div class="calendar-day-emoji">${emoji}</div>
-            `;
-        } else {
-            dayEl.innerHTML = `
-                <div class="calendar-day-label">${date.toLocaleDateString('en-US', { weekday: 'short' })}</div>
-                <div class="calendar-day-number">${date.getDate()}</div>
-            `;
-        }
-        
-        if (date.toDateString() === today.toDateString()) {
-            dayEl.classList.add('today');
-        }
-        
-        dayEl.title = date.toDateString();
-        container.appendChild(dayEl);
+function parsePaletteDate(text) {
+    const query = text.trim().toLowerCase();
+    if (query === 'today' || query === 'yesterday') {
+        return shiftDayKey(getDayKey(new Date()), query === 'today' ? 0 : -1);
     }
+    const match = query.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getMonth() === Number(match[2]) - 1 ? getDayKey(date) : null;
 }
 
-// ===== UI RENDERING =====
-
 /**
- * Renders history with filters and search
+ * Every action the palette can run
  */
-function renderHistory() {
-    const historyList = document.getElementById('mood-history-list');
-    const noEntriesMessage = document.getElementById('no-entries-message');
-    const searchInput = document.getElementById('search-input');
-    
-    if (!historyList) return;
+function getPaletteCommands() {
+    const commands = [
+        { label: 'Log a mood', run: focusMoodForm },
+        { label: 'Search entries', hint: '/', run: () => document.getElementById('search-input').focus() },
+        { label: 'Export data', run: showExportOptions },
+        { label: 'Import data', run: () => document.getElementById('file-input').click() },
+        { label: 'Toggle theme', run: toggleTheme },
+        { label: 'Calendar: week view', run: () => setCalendarView('week') },
+        { label: 'Calendar: month view', run: () => setCalendarView('month') },
+        { label: 'Calendar: year view', run: () => setCalendarView('year') },
+        { label: 'Calendar: today', run: calendarToday },
+        { label: 'Jump to date…', run: () => openCommandPalette(getDayKey(new Date())) },
+        { label: 'Undo', hint: 'Ctrl+Z', run: undo },
+        { label: 'Redo', hint: 'Ctrl+Shift+Z', run: redo },
+        { label: 'Printable report', run: openReportOptions },
+        { label: 'Manage tags', run: openTagManager },
+        { label: 'Goals & streaks', run: openGoalSettings },
+        { label: 'Tracked fields', run: openMetricSettings },
+        { label: 'Journaling prompts', run: openPromptSettings },
+        { label: 'Customize moods', run: openMoodScaleEditor },
+        { label: 'Reminders', run: openReminderSettings },
+        { label: 'Privacy mode', run: openPrivacySettings },
+        { label: 'Backups', run: openBackups },
+        { label: 'Trash', run: openTrash },
+        { label: 'Sync', run: openSyncSettings },
+        { label: 'Keyboard shortcuts', hint: '?', run: showShortcutsHelp },
+        { label: 'Filter: all moods', run: () => filterMoods('All') },
+        ...getMoodScale().map(mood => ({ label: `Filter: ${mood.emoji} ${mood.name}`, run: () => filterMoods(mood.name) })),
+        ...profiles.filter(profile => profile.id !== activeProfileId)
+            .map(profile => ({ label: `Switch to profile: ${profile.name}`, run: () => switchProfile(profile.id) }))
+    ];
+    if (settings.encryption.enabled) commands.push({ label: 'Lock now', run: lockApp });
+    return commands;
+}
 
-    historyList.innerHTML = '';
+/**
+ * Commands whose label contains every typed word, plus a date jump when the text is a date
+ */
+function filterPaletteCommands(text) {
+    const words = text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = getPaletteCommands().filter(command =>
+        words.every(word => command.label.toLowerCase().includes(word)));
+    const dayKey = parsePaletteDate(text);
+    return dayKey
+        ? [{ label: `Jump to ${formatDayKey(dayKey)}`, run: () => jumpToDate(dayKey) }, ...matches]
+        : matches;
+}
 
-    let filteredEntries = currentFilter === 'All' 
-        ? moodEntries 
-        : moodEntries.filter(entry => entry.mood === currentFilter);
+function renderCommandPalette() {
+    const input = document.getElementById('command-input');
+    const list = document.getElementById('command-list');
+    if (!input || !list) return;
 
-    // Apply search filter
-    if (searchInput && searchInput.value.trim()) {
-        const searchTerm = searchInput.value.trim().toLowerCase();
-        filteredEntries = filteredEntries.filter(entry => 
-            entry.note.toLowerCase().includes(searchTerm) ||
-            entry.mood.toLowerCase().includes(searchTerm) ||
-            (entry.tags && entry.tags.some(tag => tag.includes(searchTerm)))
-        );
-    }
+    paletteCommands = filterPaletteCommands(input.value);
+    paletteIndex = Math.min(paletteIndex, Math.max(paletteCommands.length - 1, 0));
+    list.innerHTML = paletteCommands.length === 0
+        ? '<li class="command-empty">No matching command</li>'
+        : paletteCommands.map((command, index) => `
+            <li class="command-item ${index === paletteIndex ? 'active' : ''}" role="option"
+                onmousedown="event.preventDefault(); runPaletteCommand(${index})">
+                <span>${escapeHtml(command.label)}</span>
+                ${command.hint ? `<kbd>${escapeHtml(command.hint)}</kbd>` : ''}
+            </li>
+        `).join('');
+}
 
-    // Sort entries
-    filteredEntries = sortEntries(filteredEntries);
+function openCommandPalette(text = '') {
+    const palette = document.getElementById('command-palette');
+    const input = document.getElementById('command-input');
+    if (!palette || !input) return;
 
-    if (filteredEntries.length === 0) {
-        if (noEntriesMessage) {
-            noEntriesMessage.textContent = searchInput && searchInput.value.trim()
-                ? "No entries match your search."
-                : currentFilter === 'All' 
-                    ? "No entries yet. Log your first mood above!"
-                    : `No ${currentFilter} entries found.`;
-            noEntriesMessage.style.display = 'block';
-        }
-        return;
-    }
+    palette.classList.remove('hidden');
+    input.value = text;
+    paletteIndex = 0;
+    renderCommandPalette();
+    input.focus();
+}
 
-    if (noEntriesMessage) {
-        noEntriesMessage.style.display = 'none';
-    }
+function closeCommandPalette() {
+    const palette = document.getElementById('command-palette');
+    if (palette) palette.classList.add('hidden');
+}
 
-    filteredEntries.forEach((entry, index) => {
-        const colorClass = getMoodColorClass(entry.mood);
-        const formattedDate = formatTimestamp(entry.timestamp);
-        const emoji = getMoodEmoji(entry.mood);
+function runPaletteCommand(index) {
+    const command = paletteCommands[index];
+    if (!command) return;
+    closeCommandPalette();
+    command.run();
+}
 
-        const item = document.createElement('div');
-        item.className = `mood-history-item ${colorClass}`;
-        item.style.animationDelay = `${index * 0.05}s`;
-        
-        const noteContent = entry.note && entry.note.length > 0 
-            ? `<p class="note-content">${escapeHtml(entry.note)}</p>`
-            : `<p class="note-content" style="font-style:italic;opacity:0.7;">(No note recorded)</p>`;
+/**
+ * Wires the global shortcuts and the palette input
+ */
+function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', handleKeyboardShortcut);
 
-        const tagsHTML = entry.tags && entry.tags.length > 0
-            ? `<div class="entry-tags">
-                ${entry.tags.map(tag => `<span class="entry-tag">${escapeHtml(tag)}</span>`).join('')}
-               </div>`
-            : '';
+    const palette = document.getElementById('command-palette');
+    const input = document.getElementById('command-input');
+    if (palette) {
+        palette.addEventListener('click', (e) => {
+            if (e.target === palette) closeCommandPalette();
+        });
+    }
+    if (!input) return;
 
-        item.innerHTML = `
-            <div class="history-emoji-box">
-                ${emoji}
-            </div>
-            <div class="history-text-content">
-                <div class="history-header-row">
-                    <h4>${escapeHtml(entry.mood)}</h4>
-                    <span class="date-time-stamp">${formattedDate}</span>
-                </div>
-                ${noteContent}
-                ${tagsHTML}
-                <button class="delete-button" onclick="deleteEntry(${entry.id})">Delete</button>
-            </div>
-        `;
-        historyList.appendChild(item);
+    input.addEventListener('input', () => {
+        paletteIndex = 0;
+        renderCommandPalette();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (paletteCommands.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            paletteIndex = (paletteIndex + step + paletteCommands.length) % paletteCommands.length;
+            renderCommandPalette();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteCommand(paletteIndex);
+        }
     });
 }
 
+// ===== SERVICE WORKER, OFFLINE & REMINDERS =====
+const REMINDER_CHECK_INTERVAL = 60 * 1000;
+const REMINDER_TAG = 'mood-reminder';
+let lastReminderSync = null;
+
 /**
- * Renders chart
+ * Registers the service worker and listens for messages from it
  */
-function renderChart() {
-    const chart = document.getElementById('mood-chart');
-    const labels = document.getElementById('chart-labels');
-    
-    if (!chart || !labels) return;
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        swRegistration = await navigator.serviceWorker.register('./sw.js');
+    } catch (error) {
+        console.warn("Service worker registration failed:", error);
+        return;
+    }
 
-    chart.innerHTML = '';
-    labels.innerHTML = '';
+    watchForServiceWorkerUpdate(swRegistration);
 
-    const moodMap = {
-        'Terrible': 20, 
-        'Stressed': 40, 
-        'Neutral': 60,  
-        'Good': 80,     
-        'Amazing': 100  
-    };
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'focus-mood-form') {
+            focusMoodForm();
+        }
+    });
+
+    await navigator.serviceWorker.ready;
+    syncRemindersToWorker();
+    registerPeriodicReminderSync();
+    setInterval(() => postToServiceWorker({ type: 'check-reminders' }), REMINDER_CHECK_INTERVAL);
+}
+
+/**
+ * Offers a reload when a new version of the app shell has been installed
+ */
+function watchForServiceWorkerUpdate(registration) {
+    let reloadOnControllerChange = false;
 
-    const moodColors    = {
-        'Amazing': '#10b981',
-        'Good': '#3b82f6',
-        'Neutral': '#f59e0b',
-        'Stressed': '#ef4444',
-        'Terrible': '#991b1b'
+    const promptUpdate = (worker) => {
+        showToast('✨ An update is available', {
+            actionLabel: 'Reload',
+            duration: 0,
+            onAction: () => {
+                reloadOnControllerChange = true;
+                worker.postMessage({ type: 'skip-waiting' });
+            }
+        });
     };
 
-    const total = moodEntries.length || 1;
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        promptUpdate(registration.waiting);
+    }
 
-    Object.keys(moodMap).forEach((mood, index) => {
-        const count = moodEntries.filter(entry => entry.mood === mood).length;
-        const bar = document.createElement('div');
-        bar.className = 'chart-bar';
-        bar.style.height = `${(count / total) * 100}%`;
-        bar.style.backgroundColor = moodColors[mood];
-        bar.title = `${mood}: ${count}`;
-        chart.appendChild(bar);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                promptUpdate(worker);
+            }
+        });
+    });
 
-        const label = document.createElement('span');
-        label.className = 'chart-label';
-        label.textContent = mood;
-        labels.appendChild(label);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadOnControllerChange) {
+            reloadOnControllerChange = false;
+            location.reload();
+        }
     });
 }
 
-// ===== SEARCH & FILTER EVENTS =====
-function setupSearchAndFilter() {
-    const searchInput = document.getElementById('search-input');
-    if (searchInput) {
-        searchInput.addEventListener('input', () => renderHistory());
+/**
+ * Sends a message to the active service worker, if any; returns whether it was sent
+ */
+function postToServiceWorker(message) {
+    const worker = (swRegistration && swRegistration.active) ||
+        (navigator.serviceWorker && navigator.serviceWorker.controller);
+    if (!worker) return false;
+    worker.postMessage(message);
+    return true;
+}
+
+/**
+ * Asks the browser to wake the worker periodically so reminders fire with no tab open
+ */
+async function registerPeriodicReminderSync() {
+    if (!swRegistration || !('periodicSync' in swRegistration) || !settings.reminders.enabled) return;
+    try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state === 'granted') {
+            await swRegistration.periodicSync.register(REMINDER_TAG, { minInterval: 15 * 60 * 1000 });
+        }
+    } catch (error) {
+        console.warn("Periodic background sync unavailable:", error);
     }
+}
 
-    const filterButtons = document.querySelectorAll('.filter-btn');
-    filterButtons.forEach(btn => {
-        btn.addEventListener('click', () => filterMoods(btn.dataset.mood));
-    });
+/**
+ * Sends the active profile's reminder settings and last logged day to the worker when they changed
+ */
+function syncRemindersToWorker() {
+    const latest = moodEntries.reduce((max, entry) => (!max || entry.timestamp > max ? entry.timestamp : max), null);
+    const message = {
+        type: 'reminders-config',
+        profileId: activeProfileId,
+        config: settings.reminders,
+        lastLoggedDay: latest ? getDayKey(latest) : null
+    };
+    const serialized = JSON.stringify(message);
+    if (serialized === lastReminderSync) return;
+    if (postToServiceWorker(message)) lastReminderSync = serialized;
 }
 
-// ===== CHARACTER COUNT FOR NOTES =====
-function updateCharCount() {
-    const noteEl = document.getElementById('note');
-    const countEl = document.getElementById('char-count');
-    if (!noteEl || !countEl) return;
+/**
+ * Scrolls to the mood form and focuses it
+ */
+function focusMoodForm() {
+    const form = document.getElementById('mood-form');
+    if (!form) return;
+    if (form.scrollIntoView) form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const note = document.getElementById('note');
+    if (note) note.focus({ preventScroll: true });
+    form.classList.add('form-highlight');
+    setTimeout(() => form.classList.remove('form-highlight'), 1500);
+}
 
-    const maxChars = 500;
-    noteEl.addEventListener('input', () => {
-        const remaining = maxChars - noteEl.value.length;
-        countEl.textContent = `${remaining} characters remaining`;
+/**
+ * Opens the reminder settings dialog
+ */
+function openReminderSettings() {
+    const reminders = settings.reminders;
+    const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    const timeRows = reminders.times.map((time, index) => `
+        <div class="scale-row">
+            <input type="time" id="reminder-time-${index}" class="search-input" value="${time}">
+            <button class="delete-button" onclick="removeReminderTime(${index})" title="Remove">×</button>
+        </div>
+    `).join('');
+    const dayBoxes = WEEKDAY_NAMES.map((name, day) => `
+        <label class="reminder-day">
+            <input type="checkbox" class="reminder-quiet-day" value="${day}" ${reminders.quietDays.includes(day) ? 'checked' : ''}>
+            ${name.slice(0, 3)}
+        </label>
+    `).join('');
+
+    showDialog('Daily Reminders', `
+        <label class="reminder-option">
+            <input type="checkbox" id="reminder-enabled" ${reminders.enabled ? 'checked' : ''}> Send me reminders
+        </label>
+        <h4 class="reminder-heading">Remind me at</h4>
+        <div class="scale-rows">${timeRows}</div>
+        <button class="edit-button" onclick="addReminderTime()">+ Add time</button>
+        <label class="reminder-option">
+            <input type="checkbox" id="reminder-only-if-empty" ${reminders.onlyIfNotLogged ? 'checked' : ''}> Only nudge if nothing is logged today
+        </label>
+        <h4 class="reminder-heading">Quiet days</h4>
+        <div class="reminder-days">${dayBoxes}</div>
+        <p class="tag-insight-note">Notifications: ${permission}.
+            Reminders arrive while the app is open in any tab; installed apps can also be woken in the background.</p>
+        <div class="entry-actions scale-actions">
+            <button class="submit-button" onclick="saveReminderSettings()">Save</button>
+            <button class="secondary-button" onclick="sendTestReminder()">Test</button>
+        </div>
+    `);
+}
+
+/**
+ * Copies the reminder dialog inputs into settings (without saving)
+ */
+function readReminderSettings() {
+    const reminders = settings.reminders;
+    const enabledEl = document.getElementById('reminder-enabled');
+    const onlyIfEmptyEl = document.getElementById('reminder-only-if-empty');
+    if (enabledEl) reminders.enabled = enabledEl.checked;
+    if (onlyIfEmptyEl) reminders.onlyIfNotLogged = onlyIfEmptyEl.checked;
+    reminders.times = reminders.times.map((time, index) => {
+        const input = document.getElementById(`reminder-time-${index}`);
+        return input ? input.value : time;
     });
+    reminders.quietDays = [...document.querySelectorAll('.reminder-quiet-day:checked')].map(box => Number(box.value));
 }
 
-// ===== EXPORT / IMPORT DATA =====
-function exportData() {
-    const dataStr = JSON.stringify(moodEntries, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'mood_entries.json';
-    a.click();
-    URL.revokeObjectURL(url);
-    showToast('Data exported successfully');
+function addReminderTime() {
+    readReminderSettings();
+    settings.reminders.times.push('09:00');
+    openReminderSettings();
 }
 
-function importData(file) {
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const imported = JSON.parse(e.target.result);
-            if (Array.isArray(imported)) {
-                imported.forEach(entry => {
-                    entry.timestamp = new Date(entry.timestamp);
-                });
-                moodEntries = imported.concat(moodEntries);
-                saveData();
-                renderAll();
-                showToast('Data imported successfully');
-            } else {
-                showModal('Import Error', 'Invalid data format.');
-            }
-        } catch (err) {
-            showModal('Import Error', 'Could not parse JSON.');
+function removeReminderTime(index) {
+    readReminderSettings();
+    settings.reminders.times.splice(index, 1);
+    openReminderSettings();
+}
+
+/**
+ * Saves reminder settings, asking for notification permission when enabling
+ */
+async function saveReminderSettings() {
+    readReminderSettings();
+    const reminders = settings.reminders;
+    reminders.times = [...new Set(reminders.times.filter(time => /^\d{2}:\d{2}$/.test(time)))].sort();
+
+    if (reminders.enabled) {
+        if (typeof Notification === 'undefined' || !swRegistration) {
+            showModal('Reminders', 'This browser does not support notifications from a service worker.');
+            reminders.enabled = false;
+        } else if (Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+            showModal('Reminders', 'Notifications are blocked. Allow them in your browser settings to get reminders.');
+            reminders.enabled = false;
         }
-    };
-    reader.readAsText(file);
+    }
+
+    saveSettings();
+    syncRemindersToWorker();
+    registerPeriodicReminderSync();
+    closeModal();
+    showToast(reminders.enabled ? `Reminders set for ${reminders.times.join(', ')}` : 'Reminders turned off');
+}
+
+/**
+ * Shows a sample notification through the worker
+ */
+async function sendTestReminder() {
+    if (typeof Notification === 'undefined' || !swRegistration) {
+        showModal('Reminders', 'This browser does not support notifications from a service worker.');
+        return;
+    }
+    if (Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+        showModal('Reminders', 'Notifications are blocked. Allow them in your browser settings to get reminders.');
+        return;
+    }
+    postToServiceWorker({ type: 'test-reminder' });
 }
 
 // ===== MAIN RENDER FUNCTION =====
@@ -669,33 +6884,133 @@ function renderAll() {
     renderCalendar();
     renderHistory();
     renderChart();
+    renderTagInsights();
+    renderMoodPatterns();
+    renderSuggestedTags();
+    renderGoals();
+    renderMetricCorrelations();
+    syncRemindersToWorker();
 }
 
 // ===== INITIALIZATION =====
-function initializeApp() {
+async function initializeApp() {
+    loadProfiles();
+    renderProfileSwitcher();
     loadTheme();
-    loadData();
-    renderAll();
+    loadSettings();
+    renderMoodScaleControls();
+    renderMetricFields();
+    if (settings.encryption.enabled) {
+        renderAll();
+        showLockScreen();
+    } else {
+        await loadData();
+        renderAll();
+    }
     setupSearchAndFilter();
+    setupTagInput();
+    setupJournalPrompts();
+    setupCalendarControls();
+    setupTrendControls();
     updateCharCount();
 
     const themeBtn = document.getElementById('toggle-theme-btn');
     if (themeBtn) themeBtn.addEventListener('click', toggleTheme);
 
+    const profileSelect = document.getElementById('profile-select');
+    if (profileSelect) {
+        profileSelect.addEventListener('change', () => {
+            if (profileSelect.value === '__manage') {
+                renderProfileSwitcher();
+                openProfileManager();
+            } else {
+                switchProfile(profileSelect.value);
+            }
+        });
+    }
+
     const form = document.getElementById('mood-form');
     if (form) form.addEventListener('submit', logMood);
 
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) exportBtn.addEventListener('click', exportData);
+    const exportBtn = document.getElementById('export-data-btn');
+    if (exportBtn) exportBtn.addEventListener('click', showExportOptions);
 
-    const importInput = document.getElementById('import-input');
-    if (importInput) importInput.addEventListener('change', (e) => importData(e.target.files[0]));
+    const fileInput = document.getElementById('file-input');
+    const importBtn = document.getElementById('import-data-btn');
+    if (importBtn && fileInput) importBtn.addEventListener('click', () => fileInput.click());
+    if (fileInput) {
+        fileInput.addEventListener('change', (e) => {
+            importData(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
 
-    const clearBtn = document.getElementById('clear-btn');
+    const clearBtn = document.getElementById('clear-all-btn');
     if (clearBtn) clearBtn.addEventListener('click', clearAllData);
 
+    const trashBtn = document.getElementById('trash-btn');
+    if (trashBtn) trashBtn.addEventListener('click', openTrash);
+
+    const metricsBtn = document.getElementById('metrics-btn');
+    if (metricsBtn) metricsBtn.addEventListener('click', openMetricSettings);
+
+    const goalsBtn = document.getElementById('goals-btn');
+    if (goalsBtn) goalsBtn.addEventListener('click', openGoalSettings);
+
+    const manageTagsBtn = document.getElementById('manage-tags-btn');
+    if (manageTagsBtn) manageTagsBtn.addEventListener('click', openTagManager);
+
+    const backupsBtn = document.getElementById('backups-btn');
+    if (backupsBtn) backupsBtn.addEventListener('click', openBackups);
+
+    const reportBtn = document.getElementById('report-btn');
+    if (reportBtn) reportBtn.addEventListener('click', openReportOptions);
+
+    const printReportBtn = document.getElementById('report-print-btn');
+    if (printReportBtn) printReportBtn.addEventListener('click', () => window.print());
+
+    const closeReportBtn = document.getElementById('report-close-btn');
+    if (closeReportBtn) closeReportBtn.addEventListener('click', closeReport);
+
+    const syncBtn = document.getElementById('sync-status-btn');
+    if (syncBtn) syncBtn.addEventListener('click', openSyncSettings);
+    window.addEventListener('online', syncNow);
+    window.addEventListener('offline', () => {
+        if (isSyncEnabled()) setSyncStatus('offline');
+    });
+    setInterval(syncNow, SYNC_INTERVAL);
+
+    document.addEventListener('keydown', handleUndoShortcut);
+    setupKeyboardShortcuts();
+
+    const shortcutsBtn = document.getElementById('shortcuts-btn');
+    if (shortcutsBtn) shortcutsBtn.addEventListener('click', showShortcutsHelp);
+
+    const moodScaleBtn = document.getElementById('mood-scale-btn');
+    if (moodScaleBtn) moodScaleBtn.addEventListener('click', openMoodScaleEditor);
+
+    const privacyBtn = document.getElementById('privacy-btn');
+    if (privacyBtn) privacyBtn.addEventListener('click', openPrivacySettings);
+
+    const lockForm = document.getElementById('lock-form');
+    if (lockForm) lockForm.addEventListener('submit', submitLockScreen);
+
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(type => {
+        document.addEventListener(type, resetAutoLockTimer, { passive: true });
+    });
+
+    const remindersBtn = document.getElementById('reminders-btn');
+    if (remindersBtn) remindersBtn.addEventListener('click', openReminderSettings);
+
     const modalClose = document.getElementById('modal-close-btn');
     if (modalClose) modalClose.addEventListener('click', closeModal);
+
+    if (new URLSearchParams(location.search).get('action') === 'log') {
+        history.replaceState(null, '', location.pathname);
+        focusMoodForm();
+    }
+
+    registerServiceWorker();
 }
 
 // Start the app
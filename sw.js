@@ -0,0 +1,261 @@
+/**
+ * Mood Tracker Service Worker
+ * Caches the app shell for offline use and delivers daily reminder notifications
+ */
+
+// Bump whenever APP_SHELL or this worker changes so the old cache is dropped
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `mood-tracker-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'mood-tracker-runtime';
+const APP_SHELL = [
+    './',
+    './index.html',
+    './style.css',
+    './print.css',
+    './script.js',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png'
+];
+const REMINDER_CACHE = 'mood-tracker-reminders';
+const REMINDER_CONFIG_URL = './reminder-config';
+const REMINDER_FIRED_URL = './reminder-fired';
+const LEGACY_REMINDER_STATE_URL = './reminder-state';
+const REMINDER_TAG = 'mood-reminder';
+const MAX_LATE_MINUTES = 120;
+
+// ===== LIFECYCLE =====
+self.addEventListener('install', (event) => {
+    // The new version waits until the page accepts the update prompt
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE, REMINDER_CACHE];
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await (await caches.open(REMINDER_CACHE)).delete(LEGACY_REMINDER_STATE_URL);
+        await self.clients.claim();
+    })());
+});
+
+// ===== OFFLINE CACHING =====
+
+/**
+ * Fetches a request and keeps a copy of a good response in a cache
+ */
+async function fetchAndCache(request, cacheName, cacheKey = request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        await cache.put(cacheKey, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serves the app shell network first, so edits reach installed clients without a
+ * version bump, and falls back to the cached shell offline
+ */
+async function handleFetch(request) {
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        try {
+            return await fetchAndCache(request, SHELL_CACHE, './index.html');
+        } catch (error) {
+            const shell = await caches.match('./index.html', { cacheName: SHELL_CACHE });
+            if (shell) return shell;
+            throw error;
+        }
+    }
+
+    if (url.origin === self.location.origin) {
+        try {
+            return await fetchAndCache(request, SHELL_CACHE);
+        } catch (error) {
+            const cached = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true });
+            if (cached) return cached;
+            throw error;
+        }
+    }
+
+    // Fonts and anything else: network first, remembered for offline use
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(RUNTIME_CACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName: RUNTIME_CACHE });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+    // API calls such as sync opt out of caching
+    if (event.request.cache === 'no-store') return;
+    event.respondWith(handleFetch(event.request));
+});
+
+// ===== REMINDER STATE =====
+// Configs (one per profile) come from the page; fired slots are written by the worker only
+let reminderQueue = Promise.resolve();
+
+/**
+ * Reads a reminder record, keyed by profile id
+ */
+async function readReminderRecord(url) {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(url);
+    return response ? response.json() : {};
+}
+
+/**
+ * Persists a reminder record (service workers have no localStorage)
+ */
+async function writeReminderRecord(url, record) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(url, new Response(JSON.stringify(record), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+/**
+ * Runs reminder bookkeeping one task at a time so read-modify-writes never overlap
+ */
+function queueReminderTask(task) {
+    reminderQueue = reminderQueue.then(task).catch(error => console.error('Reminder task failed:', error));
+    return reminderQueue;
+}
+
+async function saveReminderConfig(profileId, config, lastLoggedDay) {
+    const configs = await readReminderRecord(REMINDER_CONFIG_URL);
+    configs[profileId] = { config, lastLoggedDay };
+    await writeReminderRecord(REMINDER_CONFIG_URL, configs);
+}
+
+async function removeReminderConfig(profileId) {
+    const configs = await readReminderRecord(REMINDER_CONFIG_URL);
+    const fired = await readReminderRecord(REMINDER_FIRED_URL);
+    delete configs[profileId];
+    delete fired[profileId];
+    await writeReminderRecord(REMINDER_CONFIG_URL, configs);
+    await writeReminderRecord(REMINDER_FIRED_URL, fired);
+}
+
+/**
+ * Returns a local YYYY-MM-DD key for a date
+ */
+function getDayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Converts "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// ===== REMINDERS =====
+
+/**
+ * Shows the reminder notification
+ */
+function showReminder(body) {
+    return self.registration.showNotification('How are you feeling? ✨', {
+        body,
+        tag: REMINDER_TAG,
+        icon: './icons/icon-192.png',
+        data: { url: './?action=log' }
+    });
+}
+
+/**
+ * Returns the most recent reminder slot of a config that is due now, if any
+ */
+function getDueSlot(config, now) {
+    if (!config || !config.enabled) return null;
+    if ((config.quietDays || []).includes(now.getDay())) return null;
+
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const dueTimes = (config.times || [])
+        .filter(time => toMinutes(time) <= nowMinutes && nowMinutes - toMinutes(time) <= MAX_LATE_MINUTES)
+        .sort();
+    return dueTimes.length ? `${getDayKey(now)}T${dueTimes[dueTimes.length - 1]}` : null;
+}
+
+/**
+ * Fires the most recent reminder slot of each profile that is due and has not fired yet
+ */
+async function checkReminders(now = new Date()) {
+    if (Notification.permission !== 'granted') return;
+
+    const configs = await readReminderRecord(REMINDER_CONFIG_URL);
+    const fired = await readReminderRecord(REMINDER_FIRED_URL);
+    const due = Object.entries(configs)
+        .map(([profileId, state]) => ({ profileId, ...state, slot: getDueSlot(state.config, now) }))
+        .filter(item => item.slot && !(fired[item.profileId] && fired[item.profileId] >= item.slot));
+    if (due.length === 0) return;
+
+    due.forEach(item => { fired[item.profileId] = item.slot; });
+    await writeReminderRecord(REMINDER_FIRED_URL, fired);
+
+    const today = getDayKey(now);
+    const pending = due.filter(item => !(item.config.onlyIfNotLogged && item.lastLoggedDay === today));
+    if (pending.length === 0) return;
+    await showReminder(pending.every(item => item.lastLoggedDay === today)
+        ? 'Take a moment to check in again.'
+        : "You haven't logged your mood today. Keep your streak going!");
+}
+
+// ===== EVENTS =====
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    switch (message.type) {
+        case 'reminders-config':
+            event.waitUntil(queueReminderTask(() => saveReminderConfig(message.profileId, message.config, message.lastLoggedDay)));
+            break;
+        case 'reminders-remove':
+            event.waitUntil(queueReminderTask(() => removeReminderConfig(message.profileId)));
+            break;
+        case 'check-reminders':
+            event.waitUntil(queueReminderTask(() => checkReminders()));
+            break;
+        case 'test-reminder':
+            event.waitUntil(showReminder('This is how your reminders will look.'));
+            break;
+        case 'skip-waiting':
+            self.skipWaiting();
+            break;
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_TAG) {
+        event.waitUntil(queueReminderTask(() => checkReminders()));
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || './', self.registration.scope).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => client.url.startsWith(self.registration.scope));
+        if (existing) {
+            existing.postMessage({ type: 'focus-mood-form' });
+            return existing.focus();
+        }
+        return self.clients.openWindow(url);
+    })());
+});
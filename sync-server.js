@@ -0,0 +1,147 @@
+/**
+ * Minimal reference sync server for the Mood Tracker (see SYNC.md)
+ * No dependencies - run with: node sync-server.js
+ * Options (environment): PORT (default 8787), SYNC_DATA_FILE, SYNC_TOKEN
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// ===== STORE =====
+
+/**
+ * { seq: number, records: { [id]: { id, updatedAt, deleted, entry, seq } } }
+ * Deleted entries stay as tombstones so other devices learn about the deletion.
+ */
+function loadStore() {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        return { seq: 0, records: {} };
+    }
+}
+
+function saveStore(store) {
+    const tmp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+const store = loadStore();
+
+/**
+ * Changes after a cursor; the cursor is the store's sequence number
+ */
+function getChangesSince(since) {
+    const changes = Object.values(store.records)
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map(({ seq, ...change }) => change);
+    return { cursor: String(store.seq), changes };
+}
+
+/**
+ * Applies pushed changes with last-writer-wins on updatedAt
+ */
+function applyChanges(changes) {
+    const results = changes.map(change => {
+        const key = String(change.id);
+        const existing = store.records[key];
+        if (existing && existing.updatedAt > change.updatedAt) {
+            const { seq, ...current } = existing;
+            return { id: change.id, status: 'conflict', current };
+        }
+
+        store.seq++;
+        store.records[key] = {
+            id: change.id,
+            updatedAt: change.updatedAt,
+            deleted: !!change.deleted,
+            entry: change.deleted ? null : change.entry,
+            seq: store.seq
+        };
+        return { id: change.id, status: 'applied' };
+    });
+
+    saveStore(store);
+    return { cursor: String(store.seq), results };
+}
+
+function isValidChange(change) {
+    return change && (typeof change.id === 'number' || typeof change.id === 'string') &&
+        typeof change.updatedAt === 'number' &&
+        (change.deleted || (change.entry && typeof change.entry === 'object'));
+}
+
+// ===== HTTP =====
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return send(res, 401, { error: 'Unauthorized' });
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (!url.pathname.endsWith('/changes')) {
+        return send(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        return send(res, 200, getChangesSince(since));
+    }
+
+    if (req.method === 'POST') {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (error) {
+            return send(res, 400, { error: 'Invalid JSON body' });
+        }
+        if (!body || !Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+            return send(res, 400, { error: 'Expected { changes: [...] }' });
+        }
+        return send(res, 200, applyChanges(body.changes));
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mood sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});